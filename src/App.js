@@ -1,41 +1,91 @@
-import React, { useMemo, useReducer, useEffect, useRef, useState } from "react";
-import {
-  db,
-  ensureAnonAuth,
-  collection,
-  doc,
-  onSnapshot,
-  setDoc,
-  updateDoc,
-  deleteDoc,
-  serverTimestamp,
-} from "./firebase";
+import React, { useCallback, useMemo, useReducer, useEffect, useRef, useState } from "react";
+import { createFirestoreAdapter } from "./firebase";
+import { createIndexedDBAdapter, createLocalStorageAdapter } from "./storage";
+import { DEFAULT_MAX_DIMENSION, processImage } from "./imagePipeline";
+import { SCHEMA_VERSION, migrateEntity, migrateState } from "./schema";
+import { parseCsv, toCsv } from "./csv";
+import { ARRANGE_GROUPS, ARRANGE_SORTS, planArrangement, stackedBottles } from "./arrange";
+import { BARCODE_FORMATS, decodeImageData, displayCode, gtinKey, isValidGtin } from "./barcode";
+import { extractPalette, sampleColor } from "./color";
+import { describeDeltaE, findDupeClusters, rankDupes } from "./dupes";
+import { matchQuery, parseQuery, suggestQuery } from "./query";
+import { WEAR_EVENTS, longevityStats, wearSummary } from "./wear";
+import { SEASONS, neglectedPolishes, polishUsage } from "./usage";
+import { randomSet } from "./randomize";
 
 /* =============================
    NailVault — Single-file React app
-   Mobile-first, localStorage + optional Firebase sync
+   Mobile-first, pluggable local storage + optional Firebase sync
    ============================= */
 
 /* ---------- Helpers ---------- */
 const labelForIndex = (i) => (i < 26 ? String.fromCharCode(65 + i) : `W${i + 1}`);
 const defaultWallNames = (count) => Array.from({ length: count }, (_, i) => labelForIndex(i));
 
+// Walls are { id, label, shelves: [{ slots, label }] }: polishes point at the wall id, so
+// renaming a wall moves nothing, and every wall and shelf has its own size. Settings from
+// before walls had ids (wallCount/wallNames) use each old name as its id, which is what
+// the polishes on it already store; before shapes, every wall used the global
+// shelvesPerWall × slotsPerShelf grid.
+const MAX_SHELVES = 100;
+const MAX_SLOTS = 200;
+const clampCount = (v, max, fallback) => Math.max(1, Math.min(max, Math.round(Number(v)) || fallback));
+
+function normalizeShelves(shelves, s) {
+  if (Array.isArray(shelves) && shelves.length) {
+    return shelves.slice(0, MAX_SHELVES).map((sh) => {
+      const label = String(sh?.label ?? "").trim();
+      return { slots: clampCount(sh?.slots, MAX_SLOTS, 21), ...(label ? { label } : {}) };
+    });
+  }
+  const slots = clampCount(s?.slotsPerShelf, MAX_SLOTS, 21);
+  return Array.from({ length: clampCount(s?.shelvesPerWall, MAX_SHELVES, 8) }, () => ({ slots }));
+}
+
+function normalizeWalls(s) {
+  const legacy = () => {
+    const count = Math.max(1, Number(s?.wallCount ?? 2) || 2);
+    const names = Array.isArray(s?.wallNames) ? s.wallNames : defaultWallNames(count);
+    return Array.from({ length: count }, (_, i) => (names[i] && String(names[i]).trim()) || labelForIndex(i)).map((name) => ({ id: name, label: name }));
+  };
+  const list = Array.isArray(s?.walls) && s.walls.length ? s.walls : legacy();
+  const seen = new Set();
+  return list.map((w, i) => {
+    let id = String(w?.id || "").trim() || labelForIndex(i);
+    while (seen.has(id)) id = `${id}~`;
+    seen.add(id);
+    return { id, label: String(w?.label ?? "").trim() || labelForIndex(i), shelves: normalizeShelves(w?.shelves, s) };
+  });
+}
+
 function normalizeSettings(s) {
-  const wallCount = Math.max(1, Number(s?.wallCount ?? 2));
-  const shelvesPerWall = Math.max(1, Number(s?.shelvesPerWall ?? 8));
-  const slotsPerShelf = Math.max(1, Number(s?.slotsPerShelf ?? 21));
-  const existing = Array.isArray(s?.wallNames) ? s.wallNames : defaultWallNames(wallCount);
-  const wallNames = Array.from({ length: wallCount }, (_, i) => (existing[i] && String(existing[i]).trim()) || labelForIndex(i));
   return {
     colorTheme: s?.colorTheme ?? "vivid",
-    wallCount,
-    shelvesPerWall,
-    slotsPerShelf,
-    wallNames,
+    walls: normalizeWalls(s),
     syncKey: typeof s?.syncKey === "string" ? s.syncKey : "", // Household key for sync
+    imageMaxDimension: Math.max(320, Math.min(4096, Number(s?.imageMaxDimension ?? DEFAULT_MAX_DIMENSION) || DEFAULT_MAX_DIMENSION)),
   };
 }
 
+const wallIds = (settings) => settings.walls.map((w) => w.id);
+const wallLabel = (settings, id) => settings.walls.find((w) => w.id === id)?.label ?? id;
+const shelfCount = (settings, wallId) => settings.walls.find((w) => w.id === wallId)?.shelves.length || 0;
+const slotCount = (settings, wallId, shelf) => settings.walls.find((w) => w.id === wallId)?.shelves[shelf - 1]?.slots || 0;
+const shelfName = (wall, i) => wall.shelves[i]?.label || `Shelf ${i + 1}`;
+const slotLabel = (settings, p) => `${wallLabel(settings, p.wall)} S${p.shelf} #${p.position}`;
+const polishTitle = (p) => `${p.brand || "—"} · ${p.name}`;
+
+// Every slot, in wall, shelf, position order; optionally only some walls and shelves
+function listSlots(settings, { walls = wallIds(settings), fromShelf = 1, toShelf = MAX_SHELVES } = {}) {
+  const out = [];
+  for (const wall of walls) {
+    for (let shelf = fromShelf; shelf <= Math.min(toShelf, shelfCount(settings, wall)); shelf++) {
+      for (let position = 1; position <= slotCount(settings, wall, shelf); position++) out.push({ wall, shelf, position });
+    }
+  }
+  return out;
+}
+
 const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
 
 const FINISHES = [
@@ -51,48 +101,404 @@ const BRAND_SUGGESTIONS = [
 ];
 
 const defaultSettings = {
-  wallCount: 2,
-  shelvesPerWall: 8,
-  slotsPerShelf: 21,
-  wallNames: ["A", "B"],
+  walls: ["A", "B"].map((id) => ({ id, label: id, shelves: Array.from({ length: 8 }, () => ({ slots: 21 })) })),
   colorTheme: "vivid",
   syncKey: "",
+  imageMaxDimension: DEFAULT_MAX_DIMENSION,
 };
 
 const initialState = {
+  schemaVersion: SCHEMA_VERSION,
   polishes: [],
   tools: [],
   manis: [],
+  smartCollections: [],
+  plans: [],
   settings: defaultSettings,
+  tombstones: { polishes: {}, tools: {}, manis: {}, smartCollections: {}, plans: {} },
+  conflicts: [],
   createdAt: Date.now(),
 };
 
+/* ---------- Tombstones ---------- */
+// Deleted ids are remembered per collection ({ [id]: deletedAt }) so a sync snapshot
+// or an offline device re-uploading its copy can't bring them back. After the TTL
+// they are forgotten; a device offline for longer than that may resurrect items.
+const SYNCED_COLLECTIONS = ["polishes", "tools", "manis", "smartCollections", "plans"];
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function pruneTombstones(t, now = Date.now()) {
+  const out = {};
+  for (const name of SYNCED_COLLECTIONS) {
+    out[name] = Object.fromEntries(
+      Object.entries(t?.[name] || {}).filter(([, at]) => now - Number(at) < TOMBSTONE_TTL_MS)
+    );
+  }
+  return out;
+}
+
+function mergeTombstones(a, b) {
+  const out = {};
+  for (const name of SYNCED_COLLECTIONS) {
+    out[name] = { ...(a?.[name] || {}) };
+    for (const [id, at] of Object.entries(b?.[name] || {})) out[name][id] = Math.max(Number(at), out[name][id] || 0);
+  }
+  return pruneTombstones(out);
+}
+
+// Drop any entity that has a live tombstone
+function applyTombstones(state) {
+  const t = state.tombstones || {};
+  const next = { ...state };
+  for (const name of SYNCED_COLLECTIONS) {
+    const dead = t[name] || {};
+    if (Array.isArray(next[name])) next[name] = next[name].filter((x) => !dead[x.id]);
+  }
+  return next;
+}
+
+function deleteWithTombstone(state, name, id) {
+  const tombstones = mergeTombstones(state.tombstones, { [name]: { [id]: Date.now() } });
+  return { ...state, tombstones, [name]: state[name].filter((x) => x.id !== id) };
+}
+
+/* ---------- Revisions & conflicts ---------- */
+// Every local edit bumps `rev`, stamps `updatedAt`/`writer` and records per-field edit
+// times in `fieldTimes`. `baseRev`/`baseAt` remember the room version the local copy
+// was last reconciled with; they never leave the device.
+const DEVICE_ID = (() => {
+  try {
+    let id = localStorage.getItem("nailvault_device_id");
+    if (!id) {
+      id = uid();
+      localStorage.setItem("nailvault_device_id", id);
+    }
+    return id;
+  } catch (e) {
+    return uid();
+  }
+})();
+const ENTITY_META_FIELDS = ["id", "rev", "baseRev", "baseAt", "updatedAt", "writer", "fieldTimes", "syncedAt"];
+const LOCAL_ONLY_FIELDS = ["baseRev", "baseAt", "syncedAt"];
+const SET_MERGE_FIELDS = ["tags"];
+const LIST_MERGE_FIELDS = ["layers"];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const contentFields = (e) => Object.keys(e).filter((k) => !ENTITY_META_FIELDS.includes(k));
+
+function stampEdit(prev, patch) {
+  const now = Date.now();
+  const fieldTimes = { ...(prev?.fieldTimes || {}) };
+  for (const k of contentFields(patch)) if (!prev || !sameValue(prev[k], patch[k])) fieldTimes[k] = now;
+  return {
+    ...prev,
+    ...patch,
+    rev: (prev?.rev || 0) + 1,
+    baseRev: prev?.baseRev || 0,
+    baseAt: prev?.baseAt || 0,
+    updatedAt: now,
+    writer: DEVICE_ID,
+    fieldTimes,
+  };
+}
+
+function sameContent(a, b) {
+  const keys = new Set([...contentFields(a), ...contentFields(b)]);
+  return [...keys].every((k) => sameValue(a[k], b[k]));
+}
+
+// Deterministic "which version wins" so every device resolves a conflict the same way
+function newerSide(a, b, field) {
+  const ta = field ? a.fieldTimes?.[field] || 0 : a.updatedAt || 0;
+  const tb = field ? b.fieldTimes?.[field] || 0 : b.updatedAt || 0;
+  if (ta !== tb) return ta > tb ? a : b;
+  return String(a.writer || "") >= String(b.writer || "") ? a : b;
+}
+
+// Field-level merge of two concurrent versions. Tags merge as a set and layers as a list;
+// any other field edited on both sides since the common base is settled last-writer-wins
+// and reported so the user can revisit it.
+function mergeEntity(local, remote) {
+  const baseAt = local.baseAt || 0;
+  const [first, second] = newerSide(local, remote) === local ? [local, remote] : [remote, local];
+  const merged = {};
+  const fieldTimes = {};
+  const conflicts = [];
+  const keys = new Set([...contentFields(local), ...contentFields(remote)]);
+  for (const k of keys) {
+    fieldTimes[k] = Math.max(local.fieldTimes?.[k] || 0, remote.fieldTimes?.[k] || 0);
+    if (sameValue(local[k], remote[k])) {
+      merged[k] = local[k];
+    } else if (SET_MERGE_FIELDS.includes(k)) {
+      merged[k] = [...new Set([...(first[k] || []), ...(second[k] || [])])];
+    } else if (LIST_MERGE_FIELDS.includes(k)) {
+      // items with ids (manicure layers) are one item however they were edited
+      const itemKey = (x) => (x && typeof x === "object" && x.id ? x.id : JSON.stringify(x));
+      const seen = new Set((first[k] || []).map(itemKey));
+      merged[k] = [...(first[k] || []), ...(second[k] || []).filter((x) => !seen.has(itemKey(x)))];
+    } else {
+      const localChanged = (local.fieldTimes?.[k] || 0) > baseAt;
+      const remoteChanged = (remote.fieldTimes?.[k] || 0) > baseAt;
+      if (localChanged && !remoteChanged) merged[k] = local[k];
+      else if (remoteChanged && !localChanged) merged[k] = remote[k];
+      else {
+        merged[k] = newerSide(local, remote, k)[k];
+        conflicts.push(k);
+      }
+    }
+  }
+  return {
+    conflicts,
+    merged: {
+      ...merged,
+      id: local.id,
+      rev: Math.max(local.rev || 0, remote.rev || 0) + 1,
+      baseRev: remote.rev || 0,
+      baseAt: remote.updatedAt || 0,
+      updatedAt: Math.max(local.updatedAt || 0, remote.updatedAt || 0),
+      writer: DEVICE_ID,
+      fieldTimes,
+    },
+  };
+}
+
+// Reconcile one incoming room version against the local copy
+function reconcileEntity(local, remote) {
+  const acked = { baseRev: remote.rev || 0, baseAt: remote.updatedAt || 0 };
+  if (!local) return { item: { ...remote, ...acked } };
+  const localDirty = (local.rev || 0) > (local.baseRev || 0);
+  const remoteNew = remote.rev ? remote.rev > (local.baseRev || 0) : !local.rev && !sameContent(local, remote);
+  if (!remoteNew) return { item: local };
+  if (!localDirty) return { item: { ...remote, ...acked }, fastForward: true };
+  // our own write coming back, possibly overtaken by newer local edits
+  if (remote.writer === DEVICE_ID && (remote.rev || 0) <= (local.rev || 0)) return { item: { ...local, ...acked } };
+  // the other device already merged the same result
+  if (sameContent(local, remote)) return { item: { ...remote, ...acked } };
+  const { merged, conflicts } = mergeEntity(local, remote);
+  return { item: merged, conflicts };
+}
+
+function reconcileCollections(state, payload) {
+  const next = { ...state, ...payload };
+  let conflicts = state.conflicts || [];
+  for (const name of SYNCED_COLLECTIONS) {
+    if (!Array.isArray(payload[name])) continue;
+    const byId = new Map((state[name] || []).map((x) => [x.id, x]));
+    next[name] = [];
+    for (const remote of payload[name]) {
+      const local = byId.get(remote.id);
+      if (local === remote) {
+        next[name].push(local);
+        continue;
+      }
+      const { item, conflicts: fields, fastForward } = reconcileEntity(local, remote);
+      const others = conflicts.filter((c) => c.kind !== name || c.entityId !== item.id);
+      if (fields?.length) {
+        conflicts = [...others, { id: uid(), kind: name, entityId: item.id, fields, mine: local, theirs: remote, rev: item.rev, at: Date.now() }];
+      } else if (fastForward) {
+        // a newer version superseded the merge the conflict was about
+        conflicts = [...others, ...conflicts.filter((c) => c.kind === name && c.entityId === item.id && c.rev >= item.rev)];
+      }
+      next[name].push(item);
+    }
+  }
+  next.conflicts = conflicts;
+  return applyTombstones(next);
+}
+
+function resolveConflict(state, { id, pick }) {
+  const conflict = (state.conflicts || []).find((c) => c.id === id);
+  if (!conflict) return state;
+  const conflicts = state.conflicts.filter((c) => c.id !== id);
+  const chosen = conflict[pick];
+  const list = state[conflict.kind] || [];
+  if (!chosen || !list.some((x) => x.id === conflict.entityId)) return { ...state, conflicts };
+  const patch = Object.fromEntries(conflict.fields.map((f) => [f, chosen[f]]));
+  return {
+    ...state,
+    conflicts,
+    [conflict.kind]: list.map((x) => (x.id === conflict.entityId ? stampEdit(x, patch) : x)),
+  };
+}
+
+/* ---------- Import ---------- */
+const withoutMeta = (e) => Object.fromEntries(Object.entries(e).filter(([k]) => k === "id" || !ENTITY_META_FIELDS.includes(k)));
+
+// Per collection: how many incoming entities are new, changed or identical, and how
+// many exist only on this device (those go away with "replace all")
+function diffImport(state, incoming) {
+  const out = {};
+  for (const name of SYNCED_COLLECTIONS) {
+    const local = new Map((state[name] || []).map((x) => [x.id, x]));
+    const ids = new Set();
+    const counts = { added: 0, changed: 0, identical: 0, localOnly: 0 };
+    for (const e of incoming[name] || []) {
+      ids.add(e.id);
+      const mine = local.get(e.id);
+      if (!mine) counts.added++;
+      else if (sameContent(mine, e)) counts.identical++;
+      else counts.changed++;
+    }
+    counts.localOnly = [...local.keys()].filter((id) => !ids.has(id)).length;
+    out[name] = counts;
+  }
+  return out;
+}
+
+// mode "replace" swaps in the backup (deleting what it lacks, so the household follows);
+// mode "merge" upserts by id. Imported entities count as fresh edits so they sync out.
+// The household key stays this device's unless useFileSync is set.
+function applyImport(state, { mode, data, useFileSync }) {
+  let next = { ...state };
+  // ids deleted here are tombstoned household-wide; restored copies get new ids
+  const renamed = {};
+  for (const name of SYNCED_COLLECTIONS) {
+    renamed[name] = {};
+    for (const e of data[name] || []) if (next.tombstones?.[name]?.[e.id]) renamed[name][e.id] = uid();
+  }
+  const remap = (name, id) => renamed[name][id] || id;
+  for (const name of SYNCED_COLLECTIONS) {
+    const incoming = (data[name] || []).map((e) => {
+      const item = { ...withoutMeta(e), id: remap(name, e.id) };
+      if (name === "manis" || name === "plans") {
+        item.polishes = (item.polishes || []).map((id) => remap("polishes", id));
+        item.tools = (item.tools || []).map((id) => remap("tools", id));
+      }
+      return item;
+    });
+    if (mode === "replace") {
+      const keep = new Set(incoming.map((e) => e.id));
+      const dropped = next[name].filter((x) => !keep.has(x.id)).map((x) => x.id);
+      const now = Date.now();
+      next = {
+        ...next,
+        [name]: next[name].filter((x) => keep.has(x.id)),
+        tombstones: mergeTombstones(next.tombstones, { [name]: Object.fromEntries(dropped.map((id) => [id, now])) }),
+      };
+    }
+    const byId = new Map(incoming.map((e) => [e.id, e]));
+    const localIds = new Set(next[name].map((x) => x.id));
+    const updated = next[name].map((x) => {
+      const e = byId.get(x.id);
+      return e && !sameContent(x, e) ? stampEdit(x, e) : x;
+    });
+    const added = incoming.filter((e) => !localIds.has(e.id)).map((e) => stampEdit(null, e));
+    next = { ...next, [name]: [...added, ...updated] };
+  }
+  const { syncKey: fileSyncKey = "", ...fileSettings } = data.settings || {};
+  const syncKey = useFileSync ? fileSyncKey : state.settings.syncKey;
+  const settings = mode === "replace" ? { ...fileSettings, syncKey } : { ...state.settings, syncKey };
+  return { ...next, settings: normalizeSettings(settings), conflicts: mode === "replace" ? [] : next.conflicts };
+}
+
+/* ---------- Wall slots ---------- */
+// One bottle per slot. Slots are keyed "wall-shelf-position"; a polish is placed only when
+// all three are set.
+const slotKey = (p) => (p?.wall && p.shelf && p.position ? `${p.wall}-${p.shelf}-${p.position}` : null);
+const UNPLACED = { wall: null, shelf: null, position: null };
+
+// A polish moving onto a taken slot swaps with the bottle there, which goes to the mover's
+// old slot (or off the wall if the mover had none). Unrelated edits never displace anyone.
+function settleSlot(polishes, moved, prev) {
+  const key = slotKey(moved);
+  if (!key || slotKey(prev) === key) return polishes;
+  const back = slotKey(prev) ? { wall: prev.wall, shelf: prev.shelf, position: prev.position } : UNPLACED;
+  return polishes.map((p) => (p.id !== moved.id && slotKey(p) === key ? stampEdit(p, back) : p));
+}
+
+// Why a polish's placement is invalid under `settings`, or null
+function slotProblem(p, settings) {
+  if (!p.wall && !p.shelf && !p.position) return null;
+  if (!p.wall || !p.shelf || !p.position) return "is only partly placed";
+  if (!wallIds(settings).includes(p.wall)) return `is on wall "${p.wall}", which no longer exists`;
+  const shelves = shelfCount(settings, p.wall);
+  if (!(Number.isInteger(p.shelf) && p.shelf >= 1 && p.shelf <= shelves)) return `is on shelf ${p.shelf}, outside 1–${shelves}`;
+  const slots = slotCount(settings, p.wall, p.shelf);
+  if (!(Number.isInteger(p.position) && p.position >= 1 && p.position <= slots)) return `is in position ${p.position}, outside 1–${slots}`;
+  return null;
+}
+
+// Layout doctor: every collision or invalid placement with a proposed fix. The bottle
+// updated longest ago keeps a contested slot; the rest move to the nearest free slot on
+// the same wall (then any wall), or come off the wall when it is full.
+function planLayoutRepair(state) {
+  const { settings } = state;
+  const taken = new Set();
+  const problems = [];
+  const byAge = [...state.polishes].sort((a, b) => (a.updatedAt || a.addedAt || 0) - (b.updatedAt || b.addedAt || 0));
+  const misplaced = [];
+  for (const p of byAge) {
+    const issue = slotProblem(p, settings);
+    if (issue) misplaced.push({ p, issue });
+    else if (slotKey(p) && taken.has(slotKey(p))) misplaced.push({ p, issue: `shares ${slotLabel(settings, p)} with another bottle` });
+    else if (slotKey(p)) taken.add(slotKey(p));
+  }
+  const freeSlot = (prefer) => {
+    const ids = wallIds(settings);
+    const walls = ids.includes(prefer) ? [prefer, ...ids.filter((w) => w !== prefer)] : ids;
+    return listSlots(settings, { walls }).find((slot) => !taken.has(slotKey(slot))) || null;
+  };
+  for (const { p, issue } of misplaced) {
+    const slot = freeSlot(p.wall);
+    if (slot) taken.add(slotKey(slot));
+    problems.push({ id: p.id, polish: p, issue, fix: slot || UNPLACED });
+  }
+  return problems;
+}
+
 function reducer(state, action) {
   switch (action.type) {
     case "hydrate":
       return action.payload;
     case "hydrate/partial":
-      return { ...state, ...action.payload };
+      return reconcileCollections(state, action.payload);
+    case "conflict/resolve":
+      return resolveConflict(state, action);
+    case "conflict/dismiss":
+      // keep the merged entity as it is
+      return { ...state, conflicts: (state.conflicts || []).filter((c) => c.id !== action.id) };
+    case "tombstones/merge":
+      return applyTombstones({ ...state, tombstones: mergeTombstones(state.tombstones, action.payload) });
     case "settings/update":
       return { ...state, settings: normalizeSettings({ ...state.settings, ...action.payload }) };
-    case "polish/add":
-      return { ...state, polishes: [action.payload, ...state.polishes] };
-    case "polish/update":
-      return { ...state, polishes: state.polishes.map((p) => (p.id === action.payload.id ? { ...p, ...action.payload } : p)) };
+    case "polish/add": {
+      const added = stampEdit(null, action.payload);
+      return { ...state, polishes: settleSlot([added, ...state.polishes], added, null) };
+    }
+    case "polish/update": {
+      const prev = state.polishes.find((p) => p.id === action.payload.id);
+      if (!prev) return state;
+      const updated = stampEdit(prev, action.payload);
+      return { ...state, polishes: settleSlot(state.polishes.map((p) => (p.id === updated.id ? updated : p)), updated, prev) };
+    }
     case "polish/delete":
-      return { ...state, polishes: state.polishes.filter((p) => p.id !== action.id) };
+      return deleteWithTombstone(state, "polishes", action.id);
     case "tool/add":
-      return { ...state, tools: [action.payload, ...state.tools] };
+      return { ...state, tools: [stampEdit(null, action.payload), ...state.tools] };
     case "tool/update":
-      return { ...state, tools: state.tools.map((t) => (t.id === action.payload.id ? { ...t, ...action.payload } : t)) };
+      return { ...state, tools: state.tools.map((t) => (t.id === action.payload.id ? stampEdit(t, action.payload) : t)) };
     case "tool/delete":
-      return { ...state, tools: state.tools.filter((t) => t.id !== action.id) };
+      return deleteWithTombstone(state, "tools", action.id);
     case "mani/add":
-      return { ...state, manis: [action.payload, ...state.manis] };
+      return { ...state, manis: [stampEdit(null, action.payload), ...state.manis] };
     case "mani/update":
-      return { ...state, manis: state.manis.map((m) => (m.id === action.payload.id ? { ...m, ...action.payload } : m)) };
+      return { ...state, manis: state.manis.map((m) => (m.id === action.payload.id ? stampEdit(m, action.payload) : m)) };
     case "mani/delete":
-      return { ...state, manis: state.manis.filter((m) => m.id !== action.id) };
+      return deleteWithTombstone(state, "manis", action.id);
+    case "smart/add":
+      return { ...state, smartCollections: [...state.smartCollections, stampEdit(null, action.payload)] };
+    case "smart/update":
+      return { ...state, smartCollections: state.smartCollections.map((c) => (c.id === action.payload.id ? stampEdit(c, action.payload) : c)) };
+    case "smart/delete":
+      return deleteWithTombstone(state, "smartCollections", action.id);
+    case "plan/add":
+      return { ...state, plans: [...state.plans, stampEdit(null, action.payload)] };
+    case "plan/update":
+      return { ...state, plans: state.plans.map((p) => (p.id === action.payload.id ? stampEdit(p, action.payload) : p)) };
+    case "plan/delete":
+      return deleteWithTombstone(state, "plans", action.id);
+    case "import/apply":
+      return applyImport(state, action);
     case "reset":
       return initialState;
     default:
@@ -100,6 +506,194 @@ function reducer(state, action) {
   }
 }
 
+/* ---------- Undo history ---------- */
+// Edits made here are recorded as { before, after } states. Undoing puts back only what
+// that edit changed, as fresh edits, so changes synced in since then survive and the
+// household sees an undo like any other edit. Sync and migration actions aren't recorded.
+const HISTORY_LIMIT = 50;
+const RECORDED_ACTIONS = new Set([
+  "settings/update", "conflict/resolve", "conflict/dismiss", "import/apply", "reset", "batch",
+  "polish/add", "polish/update", "polish/delete", "tool/add", "tool/update", "tool/delete", "mani/add", "mani/update", "mani/delete",
+  "smart/add", "smart/update", "smart/delete", "plan/add", "plan/update", "plan/delete",
+]);
+const ACTION_COLLECTION = { polish: "polishes", tool: "tools", mani: "manis", smart: "smartCollections", plan: "plans" };
+
+function reduceActions(state, action) {
+  return action.type === "batch" ? action.actions.reduce(reducer, state) : reducer(state, action);
+}
+
+// -> { label, destructive } for the toast and the undo/redo button titles
+function describeAction(action, before) {
+  const [kind, verb] = action.type.split("/");
+  const name = ACTION_COLLECTION[kind];
+  if (name) {
+    const id = action.id || action.payload?.id;
+    const prev = before[name].find((x) => x.id === id);
+    const what = entityLabel(name, prev || action.payload);
+    if (verb === "delete") return { label: `Deleted ${what}`, destructive: true };
+    if (verb === "add") return { label: `Added ${what}`, destructive: false };
+    const moved = kind === "polish" && prev && ["wall", "shelf", "position"].some((k) => k in action.payload && !sameValue(prev[k], action.payload[k]));
+    return { label: moved ? `Moved ${what}` : `Edited ${what}`, destructive: moved };
+  }
+  if (action.type === "batch") return { label: action.label || `${action.actions.length} changes`, destructive: !!action.destructive };
+  if (action.type === "reset") return { label: "Erased all data", destructive: true };
+  if (action.type === "import/apply") return { label: action.mode === "replace" ? "Replaced data from backup" : "Merged backup", destructive: true };
+  if (action.type === "conflict/resolve") return { label: "Resolved a sync conflict", destructive: false };
+  if (action.type === "conflict/dismiss") return { label: "Kept a sync conflict as merged", destructive: false };
+  return { label: "Changed settings", destructive: false };
+}
+
+// Make `state` match `to` wherever `from` and `to` differ -> { state, renamed }. Entities
+// whose ids are now tombstoned come back under new ids (as with imports), and manicures
+// follow them; `renamed` ({ [collection]: { [oldId]: newId } }) lets history catch up.
+function revertChange(state, from, to) {
+  let next = { ...state };
+  const renamed = Object.fromEntries(SYNCED_COLLECTIONS.map((name) => [name, {}]));
+  for (const name of SYNCED_COLLECTIONS) {
+    const a = new Map((from[name] || []).map((x) => [x.id, x]));
+    const b = new Map((to[name] || []).map((x) => [x.id, x]));
+    for (const id of new Set([...a.keys(), ...b.keys()])) {
+      const was = a.get(id);
+      const target = b.get(id);
+      if (was && target && sameContent(was, target)) continue;
+      const current = next[name].find((x) => x.id === id);
+      if (!target) {
+        if (current) next = deleteWithTombstone(next, name, id);
+        continue;
+      }
+      const content = withoutMeta(target);
+      if (current) {
+        next = { ...next, [name]: next[name].map((x) => (x.id === id ? stampEdit(x, content) : x)) };
+        continue;
+      }
+      const newId = next.tombstones?.[name]?.[id] ? uid() : id;
+      if (newId !== id) renamed[name][id] = newId;
+      next = { ...next, [name]: [stampEdit(null, { ...content, id: newId }), ...next[name]] };
+    }
+  }
+  next = renameIds(next, renamed, stampEdit);
+  const settings = { ...next.settings };
+  for (const k of new Set([...Object.keys(from.settings || {}), ...Object.keys(to.settings || {})])) {
+    if (!sameValue(from.settings?.[k], to.settings?.[k])) settings[k] = to.settings?.[k];
+  }
+  return { state: { ...next, settings: normalizeSettings(settings) }, renamed };
+}
+
+// Apply an id rename to a state; `edit` stamps the changed entities (live state only)
+function renameIds(state, renamed, edit = (x, patch) => ({ ...x, ...patch })) {
+  if (!SYNCED_COLLECTIONS.some((name) => Object.keys(renamed[name]).length)) return state;
+  const next = { ...state };
+  for (const name of SYNCED_COLLECTIONS) {
+    const map = renamed[name];
+    next[name] = (next[name] || []).map((x) => {
+      const patch = {};
+      if (map[x.id]) patch.id = map[x.id];
+      if (name === "manis" || name === "plans") {
+        for (const [key, kind] of [["polishes", "polishes"], ["tools", "tools"]]) {
+          const ids = (x[key] || []).map((id) => renamed[kind][id] || id);
+          if (!sameValue(ids, x[key])) patch[key] = ids;
+        }
+      }
+      if (!Object.keys(patch).length) return x;
+      return patch.id ? { ...x, ...patch } : edit(x, patch);
+    });
+  }
+  return next;
+}
+
+const initialHistory = { past: [], present: initialState, future: [], seq: 0 };
+
+function historyReducer(h, action) {
+  if (action.type === "history/undo" || action.type === "history/redo") {
+    const undo = action.type === "history/undo";
+    const stack = undo ? h.past : h.future;
+    const entry = stack[stack.length - 1];
+    if (!entry) return h;
+    const { state: present, renamed } = undo ? revertChange(h.present, entry.after, entry.before) : revertChange(h.present, entry.before, entry.after);
+    const follow = (e) => ({ ...e, before: renameIds(e.before, renamed), after: renameIds(e.after, renamed) });
+    const past = (undo ? h.past.slice(0, -1) : [...h.past, entry]).map(follow);
+    const future = (undo ? [...h.future, entry] : h.future.slice(0, -1)).map(follow);
+    return { ...h, present, past, future };
+  }
+  const present = reduceActions(h.present, action);
+  if (action.type === "hydrate") return { ...initialHistory, present, seq: h.seq };
+  if (present === h.present || !RECORDED_ACTIONS.has(action.type) || action.history === false) return { ...h, present };
+  const entry = { seq: h.seq + 1, ...describeAction(action, h.present), before: h.present, after: present };
+  return { past: [...h.past, entry].slice(-HISTORY_LIMIT), present, future: [], seq: entry.seq };
+}
+
+const isTextField = (el) => !!el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+
+// Ctrl/⌘+Z undoes, Ctrl/⌘+Shift+Z (or Ctrl+Y) redoes; text fields keep their own undo
+function useUndoShortcuts(dispatch) {
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") dispatch({ type: e.shiftKey ? "history/redo" : "history/undo" });
+      else if (key === "y" && !e.shiftKey) dispatch({ type: "history/redo" });
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [dispatch]);
+}
+
+function UndoToast({ history, dispatch }) {
+  const latest = history.past[history.past.length - 1];
+  const [toast, setToast] = useState(null);
+  const shownRef = useRef(0);
+  useEffect(() => {
+    if (!latest || latest.seq <= shownRef.current) return;
+    shownRef.current = latest.seq;
+    if (latest.destructive) setToast(latest);
+  }, [latest]);
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), 8000);
+    return () => clearTimeout(t);
+  }, [toast]);
+  if (!toast) return null;
+  const undoable = latest?.seq === toast.seq;
+  return (
+    <div role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 px-4 py-2 rounded-2xl bg-zinc-900 text-white shadow-lg ring-1 ring-white/10 text-sm">
+      <span>{toast.label}</span>
+      {undoable && (
+        <button
+          onClick={() => {
+            dispatch({ type: "history/undo" });
+            setToast(null);
+          }}
+          className="px-2 py-1 rounded-lg bg-white/15 font-semibold"
+        >
+          Undo
+        </button>
+      )}
+      <button onClick={() => setToast(null)} aria-label="Dismiss" className="opacity-70">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+/* ---------- Smart collections ---------- */
+// Saved Inventory searches ({ id, name, query }), synced like polishes. Members come from
+// running the query, so counts and contents follow the stash as it changes.
+const queryContext = (settings, usage) => ({
+  wallLabel: (id) => wallLabel(settings, id),
+  placed: (p) => !!slotKey(p),
+  usage: (p) => usage.get(p.id) || null,
+});
+
+// The polishes a smart collection holds; none while its query has mistakes
+function smartCollectionPolishes(state, collection) {
+  const { ast, errors } = parseQuery(collection?.query);
+  if (!collection || errors.length) return [];
+  const ctx = queryContext(state.settings, polishUsage(state.manis));
+  return state.polishes.filter((p) => matchQuery(ast, p, ctx));
+}
+
 /* ---------- Finish Visual Helpers ---------- */
 function hexToRgb(hex) {
   if (!hex) return [229, 231, 235];
@@ -210,113 +804,553 @@ function useResponsiveCols(slotsPerShelf) {
   return cols;
 }
 
-/* ---------- Persist (localStorage) ---------- */
-const STORAGE_KEY = "nailvault_state_v1";
+/* ---------- Storage ---------- */
+// Adapters from ./storage.js (and the Firestore one from ./firebase.js). `local` keeps
+// this device's copy of the state, `images` holds photo blobs and `remote(syncKey)`
+// opens the household room.
+const APP_COLLECTION = "nailvault";
+const STATE_ID = "state_v1"; // stored by the localStorage adapter as "nailvault_state_v1"
+
+const defaultStorage = {
+  local: createLocalStorageAdapter(),
+  images: createIndexedDBAdapter(),
+  remote: (syncKey) => createFirestoreAdapter("rooms", syncKey),
+};
+const StorageContext = React.createContext(defaultStorage);
+const useStorage = () => React.useContext(StorageContext);
 
-function usePersistentState() {
-  const [state, dispatch] = useReducer(reducer, initialState);
+function usePersistentState(local) {
+  const [history, dispatch] = useReducer(historyReducer, initialHistory);
+  const state = history.present;
+  // nothing is written back until the saved copy has been read
+  const [loaded, setLoaded] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  // problems found in the saved copy; saving stays off so it isn't overwritten
+  const [loadErrors, setLoadErrors] = useState(null);
   useEffect(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        const merged = { ...initialState, ...parsed };
+    let cancelled = false;
+    local
+      .load(APP_COLLECTION)
+      .then((records) => {
+        const saved = records.find((r) => r.id === STATE_ID);
+        if (cancelled || !saved) return;
+        const { id, ...parsed } = saved;
+        const { state: migrated, errors } = migrateState(parsed);
+        if (errors.length) {
+          setLoadErrors(errors);
+          return;
+        }
+        const merged = { ...initialState, ...migrated };
         merged.settings = normalizeSettings(merged.settings || {});
+        merged.tombstones = pruneTombstones(merged.tombstones);
         dispatch({ type: "hydrate", payload: merged });
+      })
+      .catch((e) => {
+        console.warn("Failed to load saved state", e);
+        if (!cancelled) setLoadErrors([`The saved data could not be read (${e.message}).`]);
+      })
+      .finally(() => !cancelled && setLoaded(true));
+    return () => {
+      cancelled = true;
+    };
+  }, [local]);
+  useEffect(() => {
+    if (!loaded || loadErrors) return;
+    local
+      .save(APP_COLLECTION, [{ ...state, id: STATE_ID }])
+      .then(() => setSaveError(null))
+      .catch((e) => {
+        console.warn("Failed to save state", e);
+        setSaveError(e);
+      });
+  }, [local, loaded, loadErrors, state]);
+  const discardSaved = () => setLoadErrors(null);
+  return [state, dispatch, { loaded, saveError, loadErrors, discardSaved, history }];
+}
+
+function LoadErrorNotice({ errors, onDiscard }) {
+  return (
+    <div role="alert" className="rounded-2xl p-3 sm:p-4 bg-rose-100 text-rose-900 ring-1 ring-rose-300 text-sm grid gap-2">
+      <strong>Your saved collection couldn't be opened, so nothing on this device has been changed.</strong>
+      <ul className="list-disc ml-5">
+        {errors.map((e, i) => (
+          <li key={i}>{e}</li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-2 items-center">
+        <span className="opacity-80">Restore a backup from the Backup tab, or</span>
+        <ToolbarButton
+          label="Start over with an empty vault"
+          onClick={() => window.confirm("The unreadable data on this device will be replaced. Proceed?") && onDiscard()}
+          className="bg-rose-200 text-rose-900"
+        />
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Images ---------- */
+// Photos live as Blobs in the `images` adapter (IndexedDB by default) and entities keep
+// only an `imageId`, so the state written to local storage stays small. Each record holds
+// the downscaled photo (`blob`) and a card-sized `thumb`. Older data kept base64 data URLs
+// in these fields; they are moved over once on load.
+const LEGACY_IMAGE_FIELDS = { polishes: "imageDataUrl", tools: "image", manis: "image" };
+const ENTITY_ACTION_PREFIX = { polishes: "polish", tools: "tool", manis: "mani" };
+const STORAGE_WARN_RATIO = 0.8;
+
+function dataUrlToBlob(dataUrl) {
+  const [head, body = ""] = String(dataUrl).split(",");
+  const type = head.match(/^data:([^;,]+)/)?.[1] || "application/octet-stream";
+  const bytes = head.includes(";base64") ? atob(body) : decodeURIComponent(body);
+  const arr = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) arr[i] = bytes.charCodeAt(i);
+  return new Blob([arr], { type });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// fires "stored" (detail: imageId) whenever a blob lands in the image store
+const imageEvents = new EventTarget();
+
+async function storeImage(images, blob, id = `img_${uid()}`, extra = {}) {
+  await images.save("images", [{ id, blob, type: blob.type, createdAt: Date.now(), ...extra }]);
+  imageEvents.dispatchEvent(new CustomEvent("stored", { detail: id }));
+  return id;
+}
+
+// Runs an upload through the image pipeline; the result is what entities reference
+async function storeUpload(images, file, maxDimension) {
+  const { full, thumb, width, height } = await processImage(file, { maxDimension });
+  return storeImage(images, full, undefined, { thumb, width, height });
+}
+
+const imageUrlCache = new Map(); // "imageId:variant" -> object URL
+
+// variant "thumb" for cards, "full" for detail views; older records without a thumb use the photo
+function useImageUrl(imageId, variant = "full") {
+  const { images } = useStorage();
+  const cacheKey = `${imageId}:${variant}`;
+  const [url, setUrl] = useState(() => imageUrlCache.get(cacheKey) || null);
+  useEffect(() => {
+    setUrl(imageUrlCache.get(cacheKey) || null);
+    if (!imageId) return;
+    let cancelled = false;
+    const load = () => {
+      if (imageUrlCache.has(cacheKey)) return setUrl(imageUrlCache.get(cacheKey));
+      images
+        .get("images", imageId)
+        .then((rec) => {
+          const blob = variant === "thumb" ? rec?.thumb || rec?.blob : rec?.blob;
+          if (cancelled || !blob) return;
+          if (!imageUrlCache.has(cacheKey)) imageUrlCache.set(cacheKey, URL.createObjectURL(blob));
+          setUrl(imageUrlCache.get(cacheKey));
+        })
+        .catch((e) => console.warn("Failed to load image", e));
+    };
+    load();
+    const onStored = (e) => e.detail === imageId && load();
+    imageEvents.addEventListener("stored", onStored);
+    return () => {
+      cancelled = true;
+      imageEvents.removeEventListener("stored", onStored);
+    };
+  }, [images, imageId, variant, cacheKey]);
+  return url;
+}
+
+function StoredImage({ imageId, variant = "thumb", fallback, alt, className, onClick }) {
+  const url = useImageUrl(imageId, variant);
+  if (!url && !fallback) return null;
+  return <img src={url || fallback} alt={alt} className={className} onClick={onClick} />;
+}
+
+// Full-size photo over the page; click anywhere or press Escape to close
+function PhotoViewer({ imageId, alt, onClose }) {
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+  return (
+    <div role="dialog" aria-label={alt} onClick={onClose} className="fixed inset-0 z-50 bg-black/80 grid place-items-center p-4 cursor-zoom-out">
+      <StoredImage imageId={imageId} variant="full" alt={alt} className="max-w-full max-h-full rounded-2xl shadow-2xl" />
+    </div>
+  );
+}
+
+// Moves legacy data URLs into the image store, then drops blobs nothing refers to
+// Nothing runs while the saved state couldn't be read: `state` is empty then, and every
+// stored photo would look unused.
+function useImageMigration(state, dispatch, loaded, loadErrors, images) {
+  const busyRef = useRef(false);
+  const failedRef = useRef(new Set());
+  const cleanedRef = useRef(false);
+  useEffect(() => {
+    if (!loaded || loadErrors || busyRef.current) return;
+    const pending = [];
+    for (const [name, field] of Object.entries(LEGACY_IMAGE_FIELDS)) {
+      for (const e of state[name]) {
+        const v = e[field];
+        if (typeof v === "string" && v.startsWith("data:") && !failedRef.current.has(`${name}/${e.id}`)) pending.push({ name, field, e });
       }
-    } catch (e) {
-      console.warn("Failed to load saved state", e);
     }
-  }, []);
+    if (!pending.length && cleanedRef.current) return;
+    busyRef.current = true;
+    (async () => {
+      for (const { name, field, e } of pending) {
+        try {
+          // same id on every device, so a household migrating twice stores one photo
+          const imageId = await storeImage(images, dataUrlToBlob(e[field]), `img_${name}_${e.id}`);
+          dispatch({ type: `${ENTITY_ACTION_PREFIX[name]}/update`, payload: { id: e.id, imageId, [field]: null }, history: false });
+        } catch (err) {
+          failedRef.current.add(`${name}/${e.id}`);
+          console.warn("Failed to move image out of saved state", err);
+        }
+      }
+      if (!pending.length && !cleanedRef.current) {
+        cleanedRef.current = true;
+        try {
+          const used = new Set();
+          for (const name of SYNCED_COLLECTIONS) state[name].forEach((e) => e.imageId && used.add(e.imageId));
+          (state.conflicts || []).forEach((c) => [c.mine, c.theirs].forEach((v) => v?.imageId && used.add(v.imageId)));
+          const orphans = (await images.load("images")).map((r) => r.id).filter((id) => !used.has(id));
+          if (orphans.length) await images.delete("images", orphans);
+        } catch (err) {
+          console.warn("Failed to clean up unused images", err);
+        }
+      }
+      busyRef.current = false;
+    })();
+  }, [loaded, loadErrors, state, images, dispatch]);
+}
+
+function useStorageEstimate(state) {
+  const [estimate, setEstimate] = useState(null);
   useEffect(() => {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch (e) {
-      console.warn("Failed to save state", e);
-    }
+    if (!navigator.storage?.estimate) return;
+    let cancelled = false;
+    navigator.storage
+      .estimate()
+      .then(({ usage, quota }) => !cancelled && setEstimate({ usage, quota }))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
   }, [state]);
-  return [state, dispatch];
+  return estimate;
+}
+
+const formatBytes = (n) => (n >= 1e9 ? `${(n / 1e9).toFixed(1)} GB` : n >= 1e6 ? `${(n / 1e6).toFixed(1)} MB` : `${Math.round(n / 1e3)} KB`);
+
+function StorageWarning({ state, saveError }) {
+  const estimate = useStorageEstimate(state);
+  const ratio = estimate?.quota ? estimate.usage / estimate.quota : 0;
+  if (!saveError && ratio < STORAGE_WARN_RATIO) return null;
+  return (
+    <div role="alert" className="rounded-2xl p-3 sm:p-4 bg-amber-100 text-amber-900 ring-1 ring-amber-300 text-sm">
+      {saveError ? (
+        <>
+          <strong>Your latest changes could not be saved on this device.</strong> Storage is full — export a backup and remove
+          some photos or old manicures.
+        </>
+      ) : (
+        <>
+          <strong>Storage is almost full</strong> ({formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used). Export a
+          backup and remove some photos before saving stops working.
+        </>
+      )}
+    </div>
+  );
 }
 
-/* ---------- Cloud Sync (Firebase) ---------- */
-function useCloudSync(state, dispatch) {
-  const unsubRef = useRef(null);
+/* ---------- Cloud Sync ---------- */
+// Key-order independent fingerprint of an entity as the room stores it
+function syncSignature(value) {
+  const norm = (v) => {
+    if (Array.isArray(v)) return v.map(norm);
+    if (v && typeof v === "object") {
+      return Object.keys(v).sort().filter((k) => !LOCAL_ONLY_FIELDS.includes(k)).map((k) => [k, norm(v[k])]);
+    }
+    return v;
+  };
+  return JSON.stringify(norm(value));
+}
+
+const shareable = (obj) => ({
+  ...Object.fromEntries(Object.entries(obj).filter(([k]) => !LOCAL_ONLY_FIELDS.includes(k))),
+  schemaVersion: SCHEMA_VERSION,
+});
+
+// A room document holds at most 1 MiB, so a photo's data URL is stored in "imageParts" in
+// parts of PHOTO_PART_CHARS characters ({ id: "<imageId>_part<i>", data }) under a head
+// document { id, parts, thumbDataUrl } in "images", written last. Keeping the parts apart
+// lets devices watch "images" for new photos cheaply. Older rooms keep the whole photo in
+// the head's `dataUrl`.
+const PHOTO_PART_CHARS = 512 * 1024;
+
+async function uploadPhoto(remote, id, dataUrl, thumbDataUrl) {
+  const parts = Math.max(1, Math.ceil(dataUrl.length / PHOTO_PART_CHARS));
+  for (let i = 0; i < parts; i++) {
+    await remote.save("imageParts", [{ id: `${id}_part${i}`, imageId: id, data: dataUrl.slice(i * PHOTO_PART_CHARS, (i + 1) * PHOTO_PART_CHARS) }]);
+  }
+  await remote.save("images", [{ id, parts, thumbDataUrl }]);
+}
+
+// -> { dataUrl, thumbDataUrl }, or null when the room doesn't have the photo (yet)
+async function downloadPhoto(remote, id) {
+  const head = await remote.get("images", id);
+  if (!head) return null;
+  if (head.dataUrl) return head;
+  if (!head.parts) return null;
+  const parts = await Promise.all(Array.from({ length: head.parts }, (_, i) => remote.get("imageParts", `${id}_part${i}`)));
+  if (parts.some((p) => typeof p?.data !== "string")) throw new Error(`Photo ${id} is missing parts in the household room.`);
+  return { dataUrl: parts.map((p) => p.data).join(""), thumbDataUrl: head.thumbDataUrl };
+}
+
+function useCloudSync(state, dispatch, createRemote, images) {
+  const remoteRef = useRef(null);
   const mountedRef = useRef(false);
+  // latest state, read from inside subscription callbacks
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  // signature of every entity as last acknowledged by the room ("collection/id" -> signature).
+  // Local items that still match are unchanged and are not written again, which also
+  // keeps snapshots echoed back through hydrate/partial from triggering another upload.
+  const ackedRef = useRef(new Map());
+  // "syncKey/collection/id" of tombstones already written to (or read from) the room
+  const pushedTombstonesRef = useRef(new Set());
+  // "collection/id" of room docs written by a newer app version; this one leaves them be
+  const newerRef = useRef(new Set());
+  // "syncKey/imageId" of photos already uploaded, fetched or being worked on
+  const syncedImagesRef = useRef(new Set());
+  // uploads wait until every collection has delivered its first snapshot
+  const [ready, setReady] = useState(false);
+  // photos that couldn't be shared with the household: [{ id, message }]
+  const [photoFailures, setPhotoFailures] = useState([]);
+  // ids of the photos in the room, so ones that weren't there yet are fetched when they land
+  const [roomPhotos, setRoomPhotos] = useState([]);
+  // the synced collections on their own, so the upload effects rerun only when one changes
+  const { polishes, tools, manis, smartCollections, plans } = state;
+  const collections = useMemo(() => ({ polishes, tools, manis, smartCollections, plans }), [polishes, tools, manis, smartCollections, plans]);
 
   useEffect(() => {
     mountedRef.current = true;
     return () => {
       mountedRef.current = false;
-      if (unsubRef.current) unsubRef.current();
     };
   }, []);
 
   // subscribe when syncKey present
   useEffect(() => {
     const syncKey = state.settings?.syncKey?.trim();
-    if (!syncKey) {
-      if (unsubRef.current) unsubRef.current();
-      unsubRef.current = null;
-      return;
+    ackedRef.current = new Map();
+    setReady(false);
+    remoteRef.current = syncKey ? createRemote(syncKey) : null;
+    const remote = remoteRef.current;
+    if (!remote) return;
+    const seen = new Set();
+    const makeListener = (name) =>
+      remote.subscribe(name, (records) => {
+        const acked = ackedRef.current;
+        const dead = stateRef.current.tombstones?.[name] || {};
+        // re-uploaded by a device that missed the delete: remove it again
+        const resurrected = records.filter((r) => dead[r.id]).map((r) => r.id);
+        if (resurrected.length) remote.delete(name, resurrected).catch((e) => console.warn("Failed to sync deletes", e));
+        const items = [];
+        for (const r of records) {
+          if (dead[r.id]) continue;
+          const key = `${name}/${r.id}`;
+          const migrated = migrateEntity(name, r);
+          if (!migrated) {
+            newerRef.current.add(key);
+            const local = (stateRef.current[name] || []).find((x) => x.id === r.id);
+            if (local) items.push(local);
+            continue;
+          }
+          newerRef.current.delete(key);
+          // older docs differ from their migrated form, so they get rewritten at the new version
+          acked.set(key, syncSignature(r));
+          items.push(migrated);
+        }
+        // keep local items the room has never acknowledged (made offline or before joining);
+        // acknowledged ones that vanished were deleted elsewhere
+        const remoteIds = new Set(items.map((x) => x.id));
+        const unsent = (stateRef.current[name] || []).filter((x) => !remoteIds.has(x.id) && !acked.has(`${name}/${x.id}`));
+        for (const key of [...acked.keys()]) {
+          if (key.startsWith(`${name}/`) && !remoteIds.has(key.slice(name.length + 1))) acked.delete(key);
+        }
+        seen.add(name);
+        if (mountedRef.current) {
+          dispatch({ type: "hydrate/partial", payload: { [name]: [...unsent, ...items] } });
+          if (seen.size === SYNCED_COLLECTIONS.length) setReady(true);
+        }
+      });
+    const metaListener = remote.subscribe("meta", (records) => {
+      const remoteSettings = records.find((r) => r.id === "settings")?.settings;
+      if (remoteSettings) ackedRef.current.set("meta/settings", syncSignature(remoteSettings));
+      if (mountedRef.current) dispatch({ type: "hydrate/partial", payload: { meta: records } });
+    });
+    const tombstoneListener = remote.subscribe("tombstones", (records) => {
+      const now = Date.now();
+      const incoming = {};
+      const expired = [];
+      for (const t of records) {
+        if (now - Number(t.deletedAt) >= TOMBSTONE_TTL_MS) {
+          expired.push(t.id);
+          continue;
+        }
+        if (!SYNCED_COLLECTIONS.includes(t.kind)) continue;
+        incoming[t.kind] = { ...incoming[t.kind], [t.entityId]: t.deletedAt };
+        pushedTombstonesRef.current.add(`${syncKey}/${t.kind}/${t.entityId}`);
+      }
+      if (expired.length) remote.delete("tombstones", expired).catch((e) => console.warn("Failed to prune deletes", e));
+      if (mountedRef.current) dispatch({ type: "tombstones/merge", payload: incoming });
+    });
+    const photoListener = remote.subscribe("images", (records) => mountedRef.current && setRoomPhotos(records.map((r) => r.id)));
+    const unsubs = [...SYNCED_COLLECTIONS.map(makeListener), metaListener, tombstoneListener, photoListener];
+    return () => unsubs.forEach((u) => u());
+  }, [state.settings?.syncKey, dispatch, createRemote]);
+
+  // push local deletes (including ones made while offline) as tombstones
+  useEffect(() => {
+    const syncKey = state.settings?.syncKey?.trim();
+    const remote = remoteRef.current;
+    if (!syncKey || !remote) return;
+    const pending = [];
+    for (const name of SYNCED_COLLECTIONS) {
+      for (const [id, deletedAt] of Object.entries(state.tombstones?.[name] || {})) {
+        const key = `${syncKey}/${name}/${id}`;
+        if (!pushedTombstonesRef.current.has(key)) pending.push({ key, name, id, deletedAt });
+      }
     }
-    let unsubs = [];
+    if (!pending.length) return;
+    pending.forEach((t) => {
+      pushedTombstonesRef.current.add(t.key);
+      ackedRef.current.delete(`${t.name}/${t.id}`);
+    });
     (async () => {
-      await ensureAnonAuth();
-      const makeListener = (name) => {
-        const c = collection(db, "rooms", syncKey, name);
-        return onSnapshot(c, (snap) => {
-          const items = snap.docs.map((d) => d.data());
-          if (mountedRef.current) {
-            dispatch({ type: "hydrate/partial", payload: { [name]: items } });
-          }
-        });
-      };
-      unsubs = [
-        makeListener("polishes"),
-        makeListener("tools"),
-        makeListener("manis"),
-        makeListener("meta"),
-      ];
-      unsubRef.current = () => unsubs.forEach((u) => u && u());
-
-      const metaDoc = doc(db, "rooms", syncKey, "meta", "settings");
-      await setDoc(
-        metaDoc,
-        { settings: { ...state.settings, syncKey: undefined }, updatedAt: serverTimestamp() },
-        { merge: true }
-      );
+      try {
+        await remote.save("tombstones", pending.map((t) => ({ id: `${t.name}_${t.id}`, kind: t.name, entityId: t.id, deletedAt: t.deletedAt })));
+        for (const name of SYNCED_COLLECTIONS) {
+          const ids = pending.filter((t) => t.name === name).map((t) => t.id);
+          if (ids.length) await remote.delete(name, ids);
+        }
+      } catch (e) {
+        pending.forEach((t) => pushedTombstonesRef.current.delete(t.key));
+        console.warn("Failed to sync deletes", e);
+      }
     })();
-    return () => {
-      if (unsubRef.current) unsubRef.current();
-      unsubRef.current = null;
+  }, [state.tombstones, state.settings?.syncKey]);
+
+  // photos travel separately as data URLs in the room's "images" collection: upload the
+  // ones this device has, fetch the ones entities point at but this device lacks
+  const syncKey = state.settings?.syncKey?.trim();
+  useEffect(() => {
+    const remote = remoteRef.current;
+    if (!remote || !ready) return;
+    const referenced = new Set();
+    for (const name of SYNCED_COLLECTIONS) collections[name].forEach((e) => e.imageId && referenced.add(e.imageId));
+    const todo = [...referenced].filter((id) => !syncedImagesRef.current.has(`${syncKey}/${id}`));
+    if (!todo.length) return;
+    todo.forEach((id) => syncedImagesRef.current.add(`${syncKey}/${id}`));
+    const settle = (id, error) => {
+      if (!mountedRef.current) return;
+      setPhotoFailures((list) => {
+        const rest = list.filter((f) => f.id !== id);
+        return error ? [...rest, { id, message: error.message || String(error) }] : rest.length === list.length ? list : rest;
+      });
     };
-  }, [state.settings?.syncKey, state.settings]);
+    (async () => {
+      for (const id of todo) {
+        try {
+          const rec = await images.get("images", id);
+          if (rec?.blob) {
+            if (rec.syncedTo !== syncKey) {
+              const thumbDataUrl = rec.thumb ? await blobToDataUrl(rec.thumb) : null;
+              await uploadPhoto(remote, id, await blobToDataUrl(rec.blob), thumbDataUrl);
+              await images.save("images", [{ ...rec, syncedTo: syncKey }]);
+            }
+          } else {
+            const shared = await downloadPhoto(remote, id);
+            if (shared) {
+              const thumb = shared.thumbDataUrl ? dataUrlToBlob(shared.thumbDataUrl) : null;
+              await storeImage(images, dataUrlToBlob(shared.dataUrl), id, { thumb, syncedTo: syncKey });
+            } else {
+              // the entity got here before its photo: fetched once roomPhotos has it
+              syncedImagesRef.current.delete(`${syncKey}/${id}`);
+            }
+          }
+          settle(id, null);
+        } catch (e) {
+          // retried with the next change
+          syncedImagesRef.current.delete(`${syncKey}/${id}`);
+          settle(id, e);
+          console.warn("Failed to sync photo", e);
+        }
+      }
+    })();
+  }, [ready, images, collections, syncKey, roomPhotos]);
 
-  // mirror local changes up
+  // mirror local changes up: only entities that differ from what the room acknowledged
   useEffect(() => {
-    const syncKey = state.settings?.syncKey?.trim();
-    if (!syncKey) return;
+    const remote = remoteRef.current;
+    if (!remote || !ready) return;
+    const acked = ackedRef.current;
+    const changes = [];
+    const previous = new Map();
+    const stage = (name, key, record) => {
+      const sig = syncSignature(record);
+      if (acked.get(key) === sig) return;
+      previous.set(key, acked.get(key));
+      acked.set(key, sig);
+      changes.push([name, record]);
+    };
+    for (const name of SYNCED_COLLECTIONS) {
+      for (const item of collections[name]) {
+        if (item.id && !newerRef.current.has(`${name}/${item.id}`)) stage(name, `${name}/${item.id}`, shareable(item));
+      }
+    }
+    const { syncKey, ...shared } = state.settings;
+    if (acked.get("meta/settings") !== syncSignature(shared)) {
+      previous.set("meta/settings", acked.get("meta/settings"));
+      acked.set("meta/settings", syncSignature(shared));
+      changes.push(["meta", { id: "settings", settings: shared }]);
+    }
+    if (!changes.length) return;
     (async () => {
-      await ensureAnonAuth();
-      const upsertAll = async (name, arr) => {
-        for (const item of arr) {
-          if (!item.id) continue;
-          const ref = doc(db, "rooms", syncKey, name, item.id);
-          await setDoc(ref, { ...item, updatedAt: serverTimestamp() }, { merge: true });
+      try {
+        for (const name of [...SYNCED_COLLECTIONS, "meta"]) {
+          const records = changes.filter(([n]) => n === name).map(([, r]) => r);
+          if (records.length) await remote.save(name, records);
         }
-      };
-      await upsertAll("polishes", state.polishes);
-      await upsertAll("tools", state.tools);
-      await upsertAll("manis", state.manis);
-
-      const metaDoc = doc(db, "rooms", syncKey, "meta", "settings");
-      await setDoc(
-        metaDoc,
-        { settings: { ...state.settings, syncKey: undefined }, updatedAt: serverTimestamp() },
-        { merge: true }
-      );
+      } catch (e) {
+        // roll back the optimistic acks so the next change retries these entities
+        previous.forEach((sig, key) => (sig === undefined ? acked.delete(key) : acked.set(key, sig)));
+        console.warn("Failed to sync changes", e);
+      }
     })();
-  }, [state.polishes, state.tools, state.manis, state.settings, state.settings?.syncKey]);
+  }, [ready, collections, state.settings]);
+
+  return { photoFailures };
+}
+
+// Sync status for photos this device couldn't upload to (or fetch from) the household room
+function PhotoSyncNotice({ failures }) {
+  if (!failures.length) return null;
+  const n = failures.length;
+  return (
+    <div role="status" className="rounded-2xl p-3 sm:p-4 bg-amber-100 text-amber-900 ring-1 ring-amber-300 text-sm">
+      <strong>{n === 1 ? "1 photo isn't" : `${n} photos aren't`} syncing with your household.</strong> Other devices won't see{" "}
+      {n === 1 ? "it" : "them"} until this works; it's retried with your next change. Last error: {failures[n - 1].message}
+    </div>
+  );
 }
 
 /* ---------- UI Bits ---------- */
@@ -333,9 +1367,9 @@ function ToolbarButton({ icon, label, onClick, className = "", type = "button" }
   );
 }
 
-function Chip({ children, onClick, className = "" }) {
+function Chip({ children, onClick, className = "", label }) {
   return (
-    <button type="button" onClick={onClick} className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium shadow-sm ${className}`}>
+    <button type="button" onClick={onClick} aria-label={label} className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium shadow-sm ${className}`}>
       {children}
     </button>
   );
@@ -384,9 +1418,13 @@ function Select({ label, options, value, onChange, allowEmpty = true }) {
       <span className="opacity-80">{label}</span>
       <select value={value ?? ""} onChange={(e) => onChange(e.target.value || null)} className="px-3 py-2 rounded-xl border border-black/10 dark:border-white/10 bg-white dark:bg-zinc-900 focus:outline-none focus:ring-2 focus:ring-fuchsia-400/70">
         {allowEmpty && <option value="">—</option>}
-        {options.map((opt) => (
-          <option key={opt} value={opt}>{opt}</option>
-        ))}
+        {options.map((opt) => {
+          // plain strings, or { value, label } when what's stored differs from what's shown
+          const { value: v, label: text } = typeof opt === "object" ? opt : { value: opt, label: opt };
+          return (
+            <option key={v} value={v}>{text}</option>
+          );
+        })}
       </select>
     </label>
   );
@@ -406,20 +1444,34 @@ function Pill({ children }) {
   return <span className="px-2 py-0.5 rounded-full bg-black/5 dark:bg-white/10 text-xs">{children}</span>;
 }
 
-function ImageInput({ label, value, onChange }) {
+function ImageInput({ label, value, onChange, maxDimension }) {
   const fileRef = useRef();
-  const handleFile = (file) => {
+  const { images } = useStorage();
+  const preview = useImageUrl(value, "thumb");
+  const [busy, setBusy] = useState(false);
+  const handleFile = async (file) => {
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => onChange(reader.result);
-    reader.readAsDataURL(file);
+    setBusy(true);
+    try {
+      onChange(await storeUpload(images, file, maxDimension));
+    } catch (e) {
+      console.warn("Failed to store image", e);
+      alert("Couldn't save this photo. It may not be a supported image, or device storage may be full.");
+    } finally {
+      setBusy(false);
+      if (fileRef.current) fileRef.current.value = "";
+    }
   };
   return (
     <div className="grid gap-2 text-sm">
       <span className="opacity-80">{label}</span>
       {value ? (
         <div className="flex items-center gap-3">
-          <img src={value} alt="preview" className="w-16 h-16 object-cover rounded-xl border border-black/10" />
+          {preview ? (
+            <img src={preview} alt="preview" className="w-16 h-16 object-cover rounded-xl border border-black/10" />
+          ) : (
+            <div className="w-16 h-16 rounded-xl border border-black/10 bg-black/5" />
+          )}
           <div className="flex gap-2">
             <ToolbarButton label="Replace" onClick={() => fileRef.current?.click()} className="bg-indigo-100 text-indigo-900" />
             <ToolbarButton label="Remove" onClick={() => onChange(null)} className="bg-rose-100 text-rose-900" />
@@ -428,7 +1480,7 @@ function ImageInput({ label, value, onChange }) {
       ) : (
         <div className="flex items-center gap-3">
           <div className="w-16 h-16 rounded-xl border border-dashed border-black/20" />
-          <ToolbarButton label="Upload" onClick={() => fileRef.current?.click()} className="bg-fuchsia-100 text-fuchsia-900" />
+          <ToolbarButton label={busy ? "Processing…" : "Upload"} onClick={() => !busy && fileRef.current?.click()} className="bg-fuchsia-100 text-fuchsia-900" />
         </div>
       )}
       <input ref={fileRef} type="file" accept="image/*" onChange={(e) => handleFile(e.target.files?.[0])} className="hidden" />
@@ -436,9 +1488,86 @@ function ImageInput({ label, value, onChange }) {
   );
 }
 
-function AutoCompleteInput({
-  label,
-  value,
+// Colour suggestions from a bottle photo, worked out on this device: the likeliest polish
+// colours, plus an eyedropper — tap the photo to take the colour under your finger
+const PHOTO_SAMPLE_DIMENSION = 240;
+
+function PhotoColorPicker({ imageId, value, onPick }) {
+  const url = useImageUrl(imageId, "full");
+  const canvasRef = useRef();
+  const pixelsRef = useRef(null);
+  const [status, setStatus] = useState("loading");
+  const [candidates, setCandidates] = useState([]);
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+    setStatus("loading");
+    setCandidates([]);
+    const img = new Image();
+    img.onload = () => {
+      const canvas = canvasRef.current;
+      const ctx = canvas?.getContext("2d");
+      if (cancelled || !ctx) return;
+      const scale = Math.min(1, PHOTO_SAMPLE_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      pixelsRef.current = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      setCandidates(extractPalette(pixelsRef.current, { count: 5 }));
+      setStatus("ready");
+    };
+    img.onerror = () => !cancelled && setStatus("failed");
+    img.src = url;
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+  const eyedrop = (e) => {
+    const canvas = canvasRef.current;
+    if (!pixelsRef.current || !canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.floor(((e.clientX - rect.left) * canvas.width) / rect.width);
+    const y = Math.floor(((e.clientY - rect.top) * canvas.height) / rect.height);
+    const hex = sampleColor(pixelsRef.current, x, y);
+    if (hex) onPick(hex);
+  };
+  return (
+    <div className="grid gap-2 text-sm">
+      <span className="opacity-80">Color from photo</span>
+      {status === "failed" && <div className="text-xs opacity-70">Couldn't read this photo's colours.</div>}
+      <div className={`flex gap-3 items-start ${status === "ready" ? "" : "hidden"}`}>
+        <canvas
+          ref={canvasRef}
+          onClick={eyedrop}
+          className="max-w-[8rem] max-h-40 rounded-xl border border-black/10 cursor-crosshair"
+          title="Tap the polish to pick its colour"
+        />
+        <div className="grid gap-2">
+          <div className="flex flex-wrap gap-2">
+            {candidates.map((c) => (
+              <button
+                key={c.hex}
+                type="button"
+                onClick={() => onPick(c.hex)}
+                aria-label={`Use ${c.hex}`}
+                aria-pressed={value?.toLowerCase() === c.hex}
+                title={`${c.hex} · ${Math.round(c.share * 100)}% of the bottle`}
+                className={`w-8 h-8 rounded-full border border-black/10 ${value?.toLowerCase() === c.hex ? "ring-2 ring-fuchsia-500" : ""}`}
+                style={{ background: c.hex }}
+              />
+            ))}
+          </div>
+          <div className="text-xs opacity-70">Pick a suggestion, or tap the photo where the polish shows.</div>
+        </div>
+      </div>
+      {status === "loading" && <div className="text-xs opacity-70">Finding colours…</div>}
+    </div>
+  );
+}
+
+function AutoCompleteInput({
+  label,
+  value,
   onChange,
   suggestions = [],
   placeholder,
@@ -480,7 +1609,7 @@ function AutoCompleteInput({
 }
 
 /* ---------- Forms ---------- */
-function PolishForm({ onSubmit, initial, settings }) {
+function PolishForm({ onSubmit, initial, defaults, settings, polishes = [] }) {
   const [form, setForm] = useState(
     initial || {
       id: uid(),
@@ -493,11 +1622,12 @@ function PolishForm({ onSubmit, initial, settings }) {
       collection: "",
       tags: [],
       notes: "",
-      imageDataUrl: null,
+      imageId: null,
       wall: null,
       shelf: null,
       position: null,
       addedAt: Date.now(),
+      ...defaults,
     }
   );
   const [tagInput, setTagInput] = useState("");
@@ -510,10 +1640,23 @@ function PolishForm({ onSubmit, initial, settings }) {
   };
   const removeTag = (t) => setForm({ ...form, tags: form.tags.filter((x) => x !== t) });
 
+  // ranges follow the chosen wall and shelf; before a choice, the largest on offer
+  const shelfMax = form.wall ? shelfCount(settings, form.wall) : Math.max(...settings.walls.map((w) => w.shelves.length));
+  const positionMax =
+    form.wall && form.shelf ? slotCount(settings, form.wall, form.shelf) : Math.max(...settings.walls.flatMap((w) => w.shelves.map((sh) => sh.slots)));
+  // one bottle per slot: the form won't save onto a taken or impossible slot
+  const occupant = slotKey(form) && polishes.find((p) => p.id !== form.id && slotKey(p) === slotKey(form));
+  const slotError = slotProblem(form, settings)
+    ? `This polish ${slotProblem(form, settings)}. Pick a wall, shelf and position, or clear all three.`
+    : occupant
+    ? `${slotLabel(settings, form)} already holds ${occupant.brand || "—"} · ${occupant.name}. Drop onto it in the Wall planner to swap.`
+    : null;
+
   return (
     <form
       onSubmit={(e) => {
         e.preventDefault();
+        if (slotError) return;
         const obj = { ...form, brand: form.brand.trim(), name: form.name.trim() };
         onSubmit(obj);
       }}
@@ -565,12 +1708,26 @@ function PolishForm({ onSubmit, initial, settings }) {
             </div>
           </div>
           <div className="grid grid-cols-3 gap-3">
-            <Select label="Wall" options={settings.wallNames || defaultWallNames(settings.wallCount)} value={form.wall} onChange={(v) => setForm({ ...form, wall: v })} />
-            <Input label={`Shelf (1–${settings.shelvesPerWall})`} type="number" min={1} max={settings.shelvesPerWall} value={form.shelf ?? ""} onChange={(e) => setForm({ ...form, shelf: e.target.value ? Number(e.target.value) : null })} />
-            <Input label={`Position (1–${settings.slotsPerShelf})`} type="number" min={1} max={settings.slotsPerShelf} value={form.position ?? ""} onChange={(e) => setForm({ ...form, position: e.target.value ? Number(e.target.value) : null })} />
+            <Select label="Wall" options={settings.walls.map((w) => ({ value: w.id, label: w.label }))} value={form.wall} onChange={(v) => setForm({ ...form, wall: v })} />
+            <Input label={`Shelf (1–${shelfMax})`} type="number" min={1} max={shelfMax} value={form.shelf ?? ""} onChange={(e) => setForm({ ...form, shelf: e.target.value ? Number(e.target.value) : null })} />
+            <Input label={`Position (1–${positionMax})`} type="number" min={1} max={positionMax} value={form.position ?? ""} onChange={(e) => setForm({ ...form, position: e.target.value ? Number(e.target.value) : null })} />
           </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={!!form.pinned} onChange={(e) => setForm({ ...form, pinned: e.target.checked })} />
+            Pinned — auto-arrange leaves it in its slot
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={!!form.empty} onChange={(e) => setForm({ ...form, empty: e.target.checked })} />
+            Empty — used up, so it's left out of suggestions and random picks
+          </label>
+          {slotError && (
+            <div role="alert" className="text-sm text-rose-700 dark:text-rose-300">
+              {slotError}
+            </div>
+          )}
           <Textarea label="Notes" placeholder="Opacity, coats, staining, comparisons, etc." rows={4} value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
-          <ImageInput label="Bottle photo" value={form.imageDataUrl} onChange={(v) => setForm({ ...form, imageDataUrl: v })} />
+          <ImageInput label="Bottle photo" value={form.imageId} onChange={(v) => setForm({ ...form, imageId: v })} maxDimension={settings.imageMaxDimension} />
+          {form.imageId && <PhotoColorPicker imageId={form.imageId} value={form.colorHex} onPick={(hex) => setForm((f) => ({ ...f, colorHex: hex }))} />}
         </div>
       </div>
       <div className="flex items-center justify-end gap-3">
@@ -580,65 +1737,439 @@ function PolishForm({ onSubmit, initial, settings }) {
   );
 }
 
+/* ---------- Barcode scanner ---------- */
+// The browser's BarcodeDetector when it has one, our own scanline decoder otherwise;
+// either way only codes with a valid check digit count.
+const SCAN_INTERVAL_MS = 250;
+
+async function detectBarcode(source, canvas) {
+  if (typeof window.BarcodeDetector === "function") {
+    try {
+      const found = await new window.BarcodeDetector({ formats: BARCODE_FORMATS }).detect(source);
+      const code = found.map((b) => b.rawValue).find(isValidGtin);
+      if (code) return code;
+    } catch (e) {
+      // unsupported format list or source: fall through to the scanline decoder
+    }
+  }
+  const w = source.videoWidth || source.width;
+  const h = source.videoHeight || source.height;
+  if (!w || !h) return null;
+  const scale = Math.min(1, 1280 / w);
+  canvas.width = Math.round(w * scale);
+  canvas.height = Math.round(h * scale);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) return null;
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return decodeImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+}
+
+function BarcodeScanner({ onResult, onClose }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  // "starting" | "scanning" | "no-camera" | "decoding" | "not-found"
+  const [status, setStatus] = useState("starting");
+  const [typed, setTyped] = useState("");
+  // latest onResult, so scanning starts once however often the parent re-renders
+  const onResultRef = useRef(onResult);
+  onResultRef.current = onResult;
+  const doneRef = useRef(false);
+  const finish = useCallback((code) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    onResultRef.current(code);
+  }, []);
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const tick = async () => {
+      const video = videoRef.current;
+      if (stopped || !video) return;
+      if (video.readyState >= 2) {
+        const code = await detectBarcode(video, canvasRef.current);
+        if (code && !stopped) return finish(code);
+      }
+      timer = setTimeout(tick, SCAN_INTERVAL_MS);
+    };
+    (async () => {
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) throw new Error("No camera API");
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setStatus("scanning");
+        tick();
+      } catch (e) {
+        if (!stopped) setStatus("no-camera");
+      }
+    })();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, [finish]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const readPhoto = async (file) => {
+    if (!file) return;
+    setStatus("decoding");
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+      const code = await detectBarcode(bitmap, canvasRef.current);
+      bitmap.close?.();
+      if (code) return finish(code);
+    } catch (e) {
+      console.warn("Could not read barcode photo", e);
+    }
+    setStatus("not-found");
+  };
+
+  const typedDigits = typed.replace(/\D/g, "");
+  const typedOk = isValidGtin(typedDigits);
+
+  return (
+    <div role="dialog" aria-label="Scan a barcode" className="fixed inset-0 z-50 bg-black/80 grid place-items-center p-4">
+      <div className="w-full max-w-md rounded-2xl bg-white dark:bg-zinc-900 p-4 grid gap-3 shadow-2xl">
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">Scan a barcode</div>
+          <ToolbarButton label="Close" onClick={onClose} className="bg-black/10" />
+        </div>
+        <video ref={videoRef} muted playsInline className={`w-full rounded-xl bg-black ${status === "scanning" ? "" : "hidden"}`} />
+        <canvas ref={canvasRef} className="hidden" />
+        <div role="status" className="text-sm opacity-80">
+          {status === "starting" && "Starting the camera…"}
+          {status === "scanning" && "Hold the barcode flat and level inside the frame."}
+          {status === "no-camera" && "No camera available. Take or choose a photo of the barcode instead."}
+          {status === "decoding" && "Reading the photo…"}
+          {status === "not-found" && "No EAN or UPC barcode found in that photo. Try a sharper, straight-on shot."}
+        </div>
+        <label className="px-3 py-2 rounded-xl bg-indigo-100 text-indigo-800 font-semibold text-sm text-center cursor-pointer">
+          Use a photo
+          <input type="file" accept="image/*" capture="environment" onChange={(e) => readPhoto(e.target.files?.[0])} className="hidden" />
+        </label>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (typedOk) finish(typedDigits);
+          }}
+          className="flex gap-2 items-end"
+        >
+          <div className="flex-1">
+            <Input label="Or type the digits" inputMode="numeric" value={typed} onChange={(e) => setTyped(e.target.value)} placeholder="EAN-13, UPC-A or EAN-8" />
+          </div>
+          <ToolbarButton type="submit" label="Look up" className="bg-emerald-100 text-emerald-900" />
+        </form>
+        {typedDigits.length >= 8 && !typedOk && <div className="text-xs text-rose-700 dark:text-rose-300">That number's check digit doesn't match; check for a typo.</div>}
+      </div>
+    </div>
+  );
+}
+
 /* ---------- Inventory List ---------- */
-function Inventory({ state, dispatch }) {
-  const [query, setQuery] = useState("");
-  const [finish, setFinish] = useState("");
-  const [wall, setWall] = useState("");
-  const [shelf, setShelf] = useState("");
-  const [tag, setTag] = useState("");
+// Search box for the query language in ./query.js: completes field names and known
+// values at the cursor, and marks mistakes under the query
+function QueryInput({ value, onChange, errors, values }) {
+  const inputRef = useRef();
+  const [cursor, setCursor] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const caretRef = useRef(null);
+  const suggestion = useMemo(() => suggestQuery(value, cursor, values), [value, cursor, values]);
+  const options = open ? suggestion.options : [];
+
+  useEffect(() => {
+    // put the caret after a completion once the new value has rendered
+    if (caretRef.current == null || !inputRef.current) return;
+    inputRef.current.setSelectionRange(caretRef.current, caretRef.current);
+    setCursor(caretRef.current);
+    caretRef.current = null;
+  }, [value]);
+
+  const track = (e) => setCursor(e.target.selectionStart ?? e.target.value.length);
+  const accept = (option) => {
+    const next = value.slice(0, suggestion.from) + option.text + value.slice(suggestion.to);
+    caretRef.current = suggestion.from + option.text.length;
+    onChange(next);
+    setActive(0);
+    inputRef.current?.focus();
+  };
+  const onKeyDown = (e) => {
+    if (!options.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i + (e.key === "ArrowDown" ? 1 : options.length - 1)) % options.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      accept(options[Math.min(active, options.length - 1)]);
+    } else if (e.key === "Escape") setOpen(false);
+  };
+
+  return (
+    <div className="grid gap-1 text-sm">
+      <label htmlFor="inventory-query" className="opacity-80">Search</label>
+      <div className="relative">
+        <input
+          id="inventory-query"
+          ref={inputRef}
+          role="combobox"
+          aria-expanded={options.length > 0}
+          aria-controls="inventory-query-options"
+          aria-activedescendant={options.length ? `inventory-query-option-${Math.min(active, options.length - 1)}` : undefined}
+          aria-invalid={errors.length > 0}
+          aria-describedby="inventory-query-help"
+          autoComplete="off"
+          spellCheck={false}
+          value={value}
+          placeholder='e.g., brand:"Holo Taco" finish:holographic,flake -tag:untried shelf:3..5'
+          onChange={(e) => {
+            onChange(e.target.value);
+            track(e);
+            setOpen(true);
+            setActive(0);
+          }}
+          onSelect={track}
+          onKeyDown={onKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          className={`w-full px-3 py-2 rounded-xl border bg-white dark:bg-zinc-900 font-mono focus:outline-none focus:ring-2 focus:ring-fuchsia-400/70 ${errors.length ? "border-rose-400" : "border-black/10 dark:border-white/10"}`}
+        />
+        {options.length > 0 && (
+          <ul id="inventory-query-options" role="listbox" className="absolute left-0 right-0 mt-1 z-20 bg-white dark:bg-zinc-900 border border-black/10 dark:border-white/10 rounded-xl overflow-hidden shadow">
+            {options.map((o, i) => (
+              <li
+                key={o.text}
+                id={`inventory-query-option-${i}`}
+                role="option"
+                aria-selected={i === Math.min(active, options.length - 1)}
+                // mousedown, so the input keeps focus
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  accept(o);
+                }}
+                className={`flex justify-between gap-3 px-3 py-2 cursor-pointer ${i === Math.min(active, options.length - 1) ? "bg-fuchsia-50 dark:bg-white/10" : ""}`}
+              >
+                <span className="font-mono">{o.label}</span>
+                <span className="text-xs opacity-60">{o.help}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {errors.length > 0 ? (
+        <div id="inventory-query-help" role="alert" className="grid gap-1 text-rose-700 dark:text-rose-300">
+          <div className="font-mono whitespace-pre-wrap break-all">
+            {value.slice(0, errors[0].start)}
+            <mark className="bg-transparent text-inherit underline decoration-wavy decoration-rose-500">{value.slice(errors[0].start, errors[0].end) || " "}</mark>
+            {value.slice(errors[0].end)}
+          </div>
+          {errors.map((e) => (
+            <div key={`${e.start}-${e.message}`}>{e.message}</div>
+          ))}
+        </div>
+      ) : (
+        <div id="inventory-query-help" className="text-xs opacity-70">
+          Words search brand, name, collection, shade code, barcode and tags. Narrow with field:value (brand, name, collection, shade, barcode, notes, finish, tag, wall, shelf, position, added, unplaced, pinned, empty, used, untried); a,b for either, 3..5 for a range, &gt;2025-01-01 to compare, - or NOT to leave out, OR and ( ) to combine.
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Saved searches above the results: tap one to run it, save the current search as a new
+// one, or update the one you started from
+function SmartCollectionsBar({ state, dispatch, query, canSave, onApply }) {
+  const [name, setName] = useState("");
+  const [appliedId, setAppliedId] = useState(null);
+  const collections = state.smartCollections;
+  const applied = collections.find((c) => c.id === appliedId);
+  const trimmed = query.trim();
+  const saved = collections.find((c) => c.query.trim() === trimmed);
+  const save = () => {
+    if (!name.trim()) return;
+    const id = uid();
+    dispatch({ type: "smart/add", payload: { id, name: name.trim(), query: trimmed } });
+    setAppliedId(id);
+    setName("");
+  };
+  return (
+    <div className="grid gap-2 mt-3">
+      {collections.length > 0 && (
+        <div className="flex flex-wrap gap-2" aria-label="Smart collections">
+          {collections.map((c) => {
+            const count = smartCollectionPolishes(state, c).length;
+            const active = c.query.trim() === trimmed;
+            return (
+              <span key={c.id} className={`inline-flex items-center rounded-full text-xs font-medium shadow-sm ${active ? "bg-fuchsia-600 text-white" : "bg-fuchsia-50 text-fuchsia-900"}`}>
+                <button
+                  type="button"
+                  aria-pressed={active}
+                  onClick={() => {
+                    setAppliedId(c.id);
+                    onApply(c.query);
+                  }}
+                  className="pl-2.5 pr-1 py-1"
+                  title={c.query}
+                >
+                  {c.name} ({count})
+                </button>
+                <button type="button" onClick={() => dispatch({ type: "smart/delete", id: c.id })} aria-label={`Delete smart collection ${c.name}`} className="pr-2.5 pl-1 py-1 opacity-70">
+                  ×
+                </button>
+              </span>
+            );
+          })}
+        </div>
+      )}
+      {canSave && trimmed && !saved && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            aria-label="Smart collection name"
+            placeholder="Name this search, e.g., Untried glitters"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && save()}
+            className="flex-1 min-w-[12rem] px-3 py-2 rounded-xl border border-black/10 dark:border-white/10 bg-white dark:bg-zinc-900 text-sm"
+          />
+          <ToolbarButton label="Save as smart collection" onClick={save} className="bg-fuchsia-100 text-fuchsia-800" />
+          {applied && (
+            <ToolbarButton label={`Update “${applied.name}”`} onClick={() => dispatch({ type: "smart/update", payload: { id: applied.id, query: trimmed } })} className="bg-indigo-100 text-indigo-800" />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// `query` lives in App, so the search is still there after visiting other tabs
+function Inventory({ state, dispatch, focusId, query, setQuery }) {
   const [editing, setEditing] = useState(null);
+  const [viewing, setViewing] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  // { code, owned } after a scan; owned is the matching polish, if any
+  const [scanResult, setScanResult] = useState(null);
+  // fields for a new polish, and a key that remounts the form when they change
+  const [prefill, setPrefill] = useState({ key: 0, fields: {} });
+
+  const onScan = (code) => {
+    setScanning(false);
+    const owned = state.polishes.find((p) => p.barcode && gtinKey(p.barcode) === gtinKey(code));
+    setScanResult({ code: displayCode(code), owned });
+    if (owned) {
+      // make sure the card is in the list before jumping to it
+      setQuery("");
+      return;
+    }
+    setPrefill((p) => ({ key: p.key + 1, fields: { barcode: displayCode(code) } }));
+    setShowForm(true);
+  };
+
+  useEffect(() => {
+    if (scanResult?.owned) document.getElementById(`polish-${scanResult.owned.id}`)?.scrollIntoView?.({ behavior: "smooth", block: "center" });
+  }, [scanResult]);
+  // a polish opened from elsewhere, e.g. a manicure
+  useEffect(() => {
+    if (focusId) document.getElementById(`polish-${focusId}`)?.scrollIntoView?.({ behavior: "smooth", block: "center" });
+  }, [focusId]);
 
+  const usage = useMemo(() => polishUsage(state.manis), [state.manis]);
+  const parsed = useMemo(() => parseQuery(query), [query]);
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    return state.polishes.filter((p) => {
-      if (finish && p.finish !== finish) return false;
-      if (wall && p.wall !== wall) return false;
-      if (shelf && String(p.shelf || "") !== shelf) return false;
-      if (tag && !(p.tags || []).includes(tag)) return false;
-      if (!q) return true;
-      const pack = [p.brand, p.name, p.collection, p.shadeCode, p.barcode, (p.tags || []).join(" ")].join(" ").toLowerCase();
-      return pack.includes(q);
-    });
-  }, [state.polishes, query, finish, wall, shelf, tag]);
+    // a query with mistakes filters nothing until it's fixed
+    if (parsed.errors.length) return state.polishes;
+    const ctx = queryContext(state.settings, usage);
+    return state.polishes.filter((p) => matchQuery(parsed.ast, p, ctx));
+  }, [state.polishes, state.settings, usage, parsed]);
+  const queryValues = useMemo(
+    () => ({
+      brand: state.polishes.map((p) => p.brand),
+      name: state.polishes.map((p) => p.name),
+      collection: state.polishes.map((p) => p.collection),
+      finish: FINISHES,
+      tag: state.polishes.flatMap((p) => p.tags || []),
+      wall: state.settings.walls.map((w) => w.label),
+    }),
+    [state.polishes, state.settings.walls]
+  );
 
   return (
     <div className="grid gap-4">
       <Section
         title="Add a polish"
         subtitle="Log attributes, photo, and shelf location"
-        right={<ToolbarButton label={showForm ? "Hide" : "New"} onClick={() => setShowForm((v) => !v)} className="bg-fuchsia-100 text-fuchsia-800" />}
+        right={
+          <div className="flex gap-2">
+            <ToolbarButton label="Scan barcode" onClick={() => setScanning(true)} className="bg-indigo-100 text-indigo-800" />
+            <ToolbarButton label={showForm ? "Hide" : "New"} onClick={() => setShowForm((v) => !v)} className="bg-fuchsia-100 text-fuchsia-800" />
+          </div>
+        }
       >
+        {scanResult && (
+          <div role="status" className={`mb-3 rounded-xl p-3 text-sm flex flex-wrap items-center justify-between gap-2 ${scanResult.owned ? "bg-amber-100 text-amber-900" : "bg-emerald-50 text-emerald-900"}`}>
+            <span>
+              {scanResult.owned ? (
+                <>
+                  <strong>You already own this!</strong> {scanResult.owned.brand || "—"} · {scanResult.owned.name}
+                  {slotKey(scanResult.owned) ? ` — ${slotLabel(state.settings, scanResult.owned)}` : ""}
+                </>
+              ) : (
+                <>Barcode {scanResult.code} isn't in your stash yet. Fill in the rest below.</>
+              )}
+            </span>
+            <button onClick={() => setScanResult(null)} aria-label="Dismiss" className="opacity-70">
+              ✕
+            </button>
+          </div>
+        )}
+        {scanning && <BarcodeScanner onResult={onScan} onClose={() => setScanning(false)} />}
         {showForm && (
           <PolishForm
+            key={prefill.key}
+            defaults={prefill.fields}
             settings={state.settings}
+            polishes={state.polishes}
             onSubmit={(obj) => {
               dispatch({ type: "polish/add", payload: obj });
               setShowForm(false);
+              setScanResult(null);
             }}
           />
         )}
       </Section>
 
       <Section title="Search & filter">
-        <div className="grid sm:grid-cols-2 lg:grid-cols-5 gap-3">
-          <Input label="Search" placeholder="brand, name, tags…" value={query} onChange={(e) => setQuery(e.target.value)} />
-          <Select label="Finish" value={finish} onChange={setFinish} options={FINISHES} />
-          <Select label="Wall" value={wall} onChange={setWall} options={state.settings.wallNames || defaultWallNames(state.settings.wallCount)} />
-          <Input label="Shelf" value={shelf} onChange={(e) => setShelf(e.target.value)} placeholder={`1–${state.settings.shelvesPerWall}`} />
-          <Input label="Tag" value={tag} onChange={(e) => setTag(e.target.value)} placeholder="e.g., favorite" />
+        <QueryInput value={query} onChange={setQuery} errors={parsed.errors} values={queryValues} />
+        <SmartCollectionsBar state={state} dispatch={dispatch} query={query} canSave={!parsed.errors.length} onApply={setQuery} />
+        <div className="mt-2 text-xs opacity-70">
+          {filtered.length} of {state.polishes.length} polishes
         </div>
       </Section>
 
       <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-4">
         {filtered.map((p) => (
-          <div key={p.id} className="rounded-2xl ring-1 ring-black/5 dark:ring-white/10 bg-white dark:bg-zinc-900 p-4 shadow-sm">
+          <div
+            key={p.id}
+            id={`polish-${p.id}`}
+            className={`rounded-2xl ring-1 bg-white dark:bg-zinc-900 p-4 shadow-sm ${
+              scanResult?.owned?.id === p.id || focusId === p.id ? "ring-2 ring-amber-400" : "ring-black/5 dark:ring-white/10"
+            }`}
+          >
             <div className="flex items-start gap-3">
-              <img
-                src={p.imageDataUrl || placeholderFromHex(p.colorHex)}
+              <StoredImage
+                imageId={p.imageId}
+                fallback={p.imageDataUrl || placeholderFromHex(p.colorHex)}
                 alt={`${p.brand} ${p.name}`}
-                className="w-20 h-20 object-cover rounded-xl border border-black/10"
+                className={`w-20 h-20 object-cover rounded-xl border border-black/10 ${p.imageId ? "cursor-zoom-in" : ""}`}
+                onClick={p.imageId ? () => setViewing(p) : undefined}
               />
               <div className="min-w-0 flex-1">
                 <div className="flex items-center gap-2">
@@ -649,11 +2180,16 @@ function Inventory({ state, dispatch }) {
                   {p.finish && <Pill>{p.finish}</Pill>}
                   {p.collection && <Pill>{p.collection}</Pill>}
                   {p.shadeCode && <Pill>#{p.shadeCode}</Pill>}
+                  {p.pinned && <Pill>📌 Pinned</Pill>}
+                  {p.empty && <Pill>🫙 Empty</Pill>}
                   {p.barcode && <Pill>🔢 {p.barcode}</Pill>}
                   {p.tags?.slice(0, 4).map((t) => (<Pill key={t}>{t}</Pill>))}
                 </div>
                 <div className="mt-2 text-xs opacity-70">
-                  Location: {p.wall ? `Wall ${p.wall}` : "—"} {p.shelf ? `· Shelf ${p.shelf}` : ""} {p.position ? `· Pos ${p.position}` : ""}
+                  Location: {p.wall ? `Wall ${wallLabel(state.settings, p.wall)}` : "—"} {p.shelf ? `· Shelf ${p.shelf}` : ""} {p.position ? `· Pos ${p.position}` : ""}
+                </div>
+                <div className="mt-1 text-xs">
+                  {usage.has(p.id) ? <span className="opacity-70">{usageText(usage.get(p.id))}</span> : <Pill>✨ Untried</Pill>}
                 </div>
               </div>
             </div>
@@ -666,11 +2202,14 @@ function Inventory({ state, dispatch }) {
         ))}
       </div>
 
+      {viewing && <PhotoViewer imageId={viewing.imageId} alt={`${viewing.brand || ""} ${viewing.name}`} onClose={() => setViewing(null)} />}
+
       {editing && (
         <Section title={`Edit: ${editing.brand || ""} ${editing.name}`} right={<Chip onClick={() => setEditing(null)} className="bg-black/10">Close</Chip>}>
           <PolishForm
             initial={editing}
             settings={state.settings}
+            polishes={state.polishes}
             onSubmit={(obj) => {
               dispatch({ type: "polish/update", payload: obj });
               setEditing(null);
@@ -684,10 +2223,11 @@ function Inventory({ state, dispatch }) {
 
 /* ---------- Wall Planner ---------- */
 function WallPlanner({ state, dispatch }) {
-  const { slotsPerShelf, shelvesPerWall, wallCount, wallNames = defaultWallNames(state.settings.wallCount) } = state.settings;
+  const { walls } = state.settings;
+  const [unplacedOnly, setUnplacedOnly] = useState(false);
 
-  // responsive max columns (4/6/8/10/12 capped by slotsPerShelf)
-  const cols = useResponsiveCols(slotsPerShelf);
+  // responsive max columns (4/6/8/10/12), capped per shelf by its slot count
+  const cols = useResponsiveCols(Math.max(...walls.flatMap((w) => w.shelves.map((sh) => sh.slots))));
 
   const occupancy = useMemo(() => {
     const map = new Map();
@@ -696,99 +2236,150 @@ function WallPlanner({ state, dispatch }) {
     }
     return map;
   }, [state.polishes]);
+  const unplaced = state.polishes.filter((p) => !slotKey(p));
+
+  // Tap/keyboard placement: the polish "in hand", the slot each wall's keyboard focus is
+  // on ({ [wallId]: "shelf-position" }) and the last thing said to screen readers
+  const [heldId, setHeldId] = useState(null);
+  const [cursor, setCursor] = useState({});
+  const [announcement, setAnnouncement] = useState("");
+  const slotRefs = useRef(new Map());
+  const held = heldId ? state.polishes.find((p) => p.id === heldId) : null;
+
+  // Drag-and-drop, taps and the keyboard all place through here
+  const placePolish = (id, wall, shelf, position) => {
+    const moving = state.polishes.find((p) => p.id === id);
+    if (!moving) return;
+    const where = slotLabel(state.settings, { wall, shelf, position });
+    if (slotKey(moving) === `${wall}-${shelf}-${position}`) return setAnnouncement(`${polishTitle(moving)} is already at ${where}.`);
+    const occupant = occupancy.get(`${wall}-${shelf}-${position}`);
+    // the reducer swaps with whatever already sits there
+    dispatch({ type: "polish/update", payload: { id, wall, shelf, position } });
+    setAnnouncement(
+      occupant
+        ? `Placed ${polishTitle(moving)} at ${where}; ${polishTitle(occupant)} ${slotKey(moving) ? `moved to ${slotLabel(state.settings, moving)}` : "went to the unplaced bin"}.`
+        : `Placed ${polishTitle(moving)} at ${where}.`
+    );
+  };
 
   const handleDrop = (e, wall, shelf, position) => {
     e.preventDefault();
     const id = e.dataTransfer.getData("text/polish_id");
-    if (!id) return;
-    const moving = state.polishes.find((p) => p.id === id);
-    if (!moving) return;
-    dispatch({ type: "polish/update", payload: { ...moving, wall, shelf, position } });
+    if (id) placePolish(id, wall, shelf, position);
+  };
+
+  const pickUp = (p) => {
+    if (heldId === p.id) return putDown();
+    setHeldId(p.id);
+    setAnnouncement(`Picked up ${polishTitle(p)}. Choose a slot and press Enter to place it, or Escape to cancel.`);
+  };
+  const putDown = () => {
+    if (!held) return;
+    setHeldId(null);
+    setAnnouncement(`Put ${polishTitle(held)} back.`);
   };
 
+  // tapping a slot places what's in hand there, or picks up the bottle in it
+  const activateSlot = (wall, shelf, position) => {
+    setCursor((c) => ({ ...c, [wall]: `${shelf}-${position}` }));
+    if (held) {
+      placePolish(held.id, wall, shelf, position);
+      setHeldId(null);
+      return;
+    }
+    const pol = occupancy.get(`${wall}-${shelf}-${position}`);
+    if (pol) pickUp(pol);
+  };
+
+  // one tab stop per wall, kept on a slot that still exists; arrow keys move between its slots
+  const tabStop = (wall) => {
+    const [shelf, position] = (cursor[wall] || "1-1").split("-").map(Number);
+    return position <= slotCount(state.settings, wall, shelf) ? `${shelf}-${position}` : "1-1";
+  };
+
+  const onSlotKeyDown = (e, wall, shelf, position) => {
+    const moves = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowUp: [-1, 0], ArrowDown: [1, 0] };
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      activateSlot(wall, shelf, position);
+    } else if (e.key === "Escape") {
+      putDown();
+    } else if (moves[e.key] || e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      const [ds, dp] = moves[e.key] || [0, 0];
+      const s2 = Math.min(shelfCount(state.settings, wall), Math.max(1, shelf + ds));
+      const slots = slotCount(state.settings, wall, s2);
+      const p2 = e.key === "Home" ? 1 : e.key === "End" ? slots : Math.min(slots, Math.max(1, position + dp));
+      setCursor((c) => ({ ...c, [wall]: `${s2}-${p2}` }));
+      slotRefs.current.get(`${wall}-${s2}-${p2}`)?.focus();
+    }
+  };
+
+  useEffect(() => {
+    if (!heldId) return;
+    const onKey = (e) => e.key === "Escape" && setHeldId(null);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [heldId]);
+
   return (
     <div className="grid gap-4">
-      <Section title="Layout settings" subtitle="Customize walls, shelves, slot capacity, and names">
-        <div className="grid sm:grid-cols-3 gap-3 items-end">
-          <Input
-            label="Number of walls"
-            type="number"
-            min={1}
-            max={50}
-            value={wallCount}
-            onChange={(e) => {
-              const n = Math.max(1, Math.min(50, Number(e.target.value || 0)));
-              const names = Array.from({ length: n }, (_, i) => state.settings.wallNames?.[i] || labelForIndex(i));
-              dispatch({ type: "settings/update", payload: { wallCount: n, wallNames: names } });
-            }}
-          />
-          <Input
-            label="Shelves per wall"
-            type="number"
-            min={1}
-            max={100}
-            value={shelvesPerWall}
-            onChange={(e) => dispatch({ type: "settings/update", payload: { shelvesPerWall: Math.max(1, Number(e.target.value || 0)) } })}
-          />
-          <Input
-            label="Slots per shelf"
-            type="number"
-            min={1}
-            max={200}
-            value={slotsPerShelf}
-            onChange={(e) => dispatch({ type: "settings/update", payload: { slotsPerShelf: Math.max(1, Number(e.target.value || 0)) } })}
-          />
-        </div>
+      <LayoutEditor state={state} dispatch={dispatch} />
+      <LayoutDoctor state={state} dispatch={dispatch} />
+      <AutoArrange state={state} dispatch={dispatch} />
 
-        <div className="mt-3 grid sm:grid-cols-2 md:grid-cols-3 gap-2">
-          {(wallNames || []).map((name, idx) => (
-            <Input
-              key={idx}
-              label={`Wall ${idx + 1} name`}
-              value={name}
-              onChange={(e) => {
-                const names = [...(state.settings.wallNames || [])];
-                names[idx] = e.target.value;
-                dispatch({ type: "settings/update", payload: { wallNames: names } });
-              }}
-            />
-          ))}
-        </div>
-
-        <div className="text-sm opacity-70 mt-2">
-          Current layout: {wallCount} wall(s) × {shelvesPerWall} shelf(es)/wall × {slotsPerShelf} slots/shelf
+      <div aria-live="polite" role="status" className="sr-only">
+        {announcement}
+      </div>
+      {held && (
+        <div className="sticky top-16 z-20 flex flex-wrap items-center justify-between gap-2 rounded-2xl px-3 py-2 bg-fuchsia-600 text-white shadow">
+          <span className="text-sm">
+            Holding <strong>{polishTitle(held)}</strong> — tap a slot to place or swap it
+          </span>
+          <ToolbarButton label="Cancel" onClick={putDown} className="bg-white/20" />
         </div>
-      </Section>
+      )}
 
-      {(wallNames || defaultWallNames(wallCount)).map((wall) => (
-        <Section key={wall} title={`Wall ${wall}`} subtitle="Drag polishes into slots">
+      {walls.map((w) => (
+        <Section key={w.id} title={`Wall ${w.label}`} subtitle="Drag polishes into slots, or tap a polish and then a slot">
           <div className="grid gap-4">
-            {Array.from({ length: shelvesPerWall }).map((_, i) => (
+            {w.shelves.map(({ slots }, i) => (
               <div key={i} className="rounded-2xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10 p-2 sm:p-3">
                 <div className="flex items-center justify-between mb-2">
-                  <div className="font-semibold">Shelf {i + 1}</div>
+                  <div className="font-semibold">{shelfName(w, i)}</div>
                   <div className="text-xs opacity-70">
-                    {Array.from({ length: slotsPerShelf }).filter((__, idx) => occupancy.has(`${wall}-${i + 1}-${idx + 1}`)).length}/{slotsPerShelf} filled
+                    {Array.from({ length: slots }).filter((__, idx) => occupancy.has(`${w.id}-${i + 1}-${idx + 1}`)).length}/{slots} filled
                   </div>
                 </div>
 
                 {/* Responsive grid: up to 12 columns (capped), with readable min cell size */}
                 <div
+                  role="group"
+                  aria-label={`Wall ${w.label}, ${shelfName(w, i)}`}
                   className="grid gap-2"
-                  style={{ gridTemplateColumns: `repeat(${cols}, minmax(72px, 1fr))` }}
+                  style={{ gridTemplateColumns: `repeat(${Math.min(cols, slots)}, minmax(72px, 1fr))` }}
                 >
-                  {Array.from({ length: slotsPerShelf }).map((_, j) => {
+                  {Array.from({ length: slots }).map((_, j) => {
+                    const wall = w.id;
                     const pos = j + 1;
                     const key = `${wall}-${i + 1}-${pos}`;
                     const pol = occupancy.get(key);
+                    const focusable = tabStop(wall) === `${i + 1}-${pos}`;
                     return (
                       <div
                         key={j}
+                        ref={(el) => (el ? slotRefs.current.set(key, el) : slotRefs.current.delete(key))}
+                        role="button"
+                        tabIndex={focusable ? 0 : -1}
+                        aria-label={`${w.label} shelf ${i + 1} position ${pos}: ${pol ? polishTitle(pol) : "empty"}`}
+                        aria-pressed={pol ? pol.id === heldId : undefined}
+                        onClick={() => activateSlot(wall, i + 1, pos)}
+                        onKeyDown={(e) => onSlotKeyDown(e, wall, i + 1, pos)}
                         onDragOver={(e) => e.preventDefault()}
                         onDrop={(e) => handleDrop(e, wall, i + 1, pos)}
                         className={`relative overflow-hidden rounded-xl border border-dashed ${
                           pol ? "border-transparent" : "border-black/20 dark:border-white/20"
-                        } bg-gradient-to-br from-white to-zinc-50 dark:from-zinc-900 dark:to-zinc-950 aspect-square`}
+                        } ${pol && pol.id === heldId ? "ring-2 ring-fuchsia-500" : held ? "cursor-pointer hover:ring-2 hover:ring-fuchsia-300" : ""} focus:outline-none focus-visible:ring-2 focus-visible:ring-fuchsia-400 bg-gradient-to-br from-white to-zinc-50 dark:from-zinc-900 dark:to-zinc-950 aspect-square`}
                         title={pol ? `${pol.brand || ""} ${pol.name}` : `Position ${pos}`}
                       >
                         {pol ? (
@@ -816,30 +2407,52 @@ function WallPlanner({ state, dispatch }) {
         </Section>
       ))}
 
-      <Section title="Draggable polishes" subtitle="Drag a card onto a slot to place it on a shelf">
+      <Section
+        title="Draggable polishes"
+        subtitle="Drag a card onto a slot, or tap it (Enter) to pick it up and then choose a slot"
+        right={
+          <Chip onClick={() => setUnplacedOnly((v) => !v)} className={unplacedOnly ? "bg-fuchsia-600 text-white" : "bg-fuchsia-100 text-fuchsia-800"}>
+            Unplaced bin ({unplaced.length})
+          </Chip>
+        }
+      >
         {/* Up to 12 columns on very wide screens */}
         <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 xl:grid-cols-8 2xl:grid-cols-12 gap-3">
-          {state.polishes.map((p) => (
+          {(unplacedOnly ? unplaced : state.polishes).map((p) => (
             <div
               key={p.id}
               draggable
               onDragStart={(e) => e.dataTransfer.setData("text/polish_id", p.id)}
-              className="p-2 rounded-xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10 cursor-grab active:cursor-grabbing"
-              title="Drag to place"
+              role="button"
+              tabIndex={0}
+              aria-pressed={p.id === heldId}
+              aria-label={`${polishTitle(p)}${slotKey(p) ? `, at ${slotLabel(state.settings, p)}` : ", unplaced"}`}
+              onClick={() => pickUp(p)}
+              onKeyDown={(e) => {
+                if (e.key !== "Enter" && e.key !== " ") return;
+                e.preventDefault();
+                pickUp(p);
+              }}
+              className={`p-2 rounded-xl bg-white dark:bg-zinc-900 ring-1 cursor-grab active:cursor-grabbing focus:outline-none focus-visible:ring-2 focus-visible:ring-fuchsia-400 ${
+                p.id === heldId ? "ring-2 ring-fuchsia-500" : "ring-black/5 dark:ring-white/10"
+              }`}
+              title="Drag to place, or tap and then tap a slot"
             >
               {/* Make the card a fixed height; grid rows give 1/3 swatch + 2/3 text */}
               <div className="grid grid-rows-[1fr_2fr] h-28 sm:h-32 gap-1">
-                {/* 1/3 height swatch with finish effect */}
+                {/* 1/3 height swatch with finish effect, bottle thumbnail on the right */}
                 <div
-                  className="w-full rounded-md"
+                  className="w-full rounded-md flex justify-end overflow-hidden"
                   style={finishStyle(p.colorHex || "#ddd", p.finish)}
-                />
+                >
+                  <StoredImage imageId={p.imageId} alt="" className="h-full aspect-square object-cover" />
+                </div>
                 {/* 2/3 height text */}
                 <div className="min-h-0 flex flex-col">
                   <div className="text-xs font-medium truncate">{p.brand || "—"}</div>
                   <div className="text-[11px] opacity-70 truncate">{p.name}</div>
                   <div className="text-[10px] opacity-50">
-                    {p.wall ? `${p.wall}` : "—"} {p.shelf ? `S${p.shelf}` : ""} {p.position ? `#${p.position}` : ""}
+                    {p.wall ? wallLabel(state.settings, p.wall) : "—"} {p.shelf ? `S${p.shelf}` : ""} {p.position ? `#${p.position}` : ""} {p.pinned ? "📌" : ""}
                   </div>
                 </div>
               </div>
@@ -851,14 +2464,348 @@ function WallPlanner({ state, dispatch }) {
   );
 }
 
+// Walls, their shelves and each shelf's slots. Edits collect in a draft and apply in one
+// go, so a half-typed number can't displace bottles; a change that would leaves them
+// waiting on a reflow preview.
+function LayoutEditor({ state, dispatch }) {
+  const { walls } = state.settings;
+  const [draft, setDraft] = useState(null);
+  // { settings, displaced, plan } while a layout change that displaces bottles is previewed
+  const [reflow, setReflow] = useState(null);
+  const [openWall, setOpenWall] = useState(null);
+  const list = draft || walls;
+  const count = (v, max) => Math.max(1, Math.min(max, Number(v) || 1));
+  const editWall = (id, fn) => setDraft(list.map((w) => (w.id === id ? fn(w) : w)));
+  const resizeShelves = (w, n) => ({
+    ...w,
+    shelves: Array.from({ length: count(n, MAX_SHELVES) }, (_, i) => w.shelves[i] || { slots: w.shelves[w.shelves.length - 1]?.slots || 21 }),
+  });
+  const addWall = () => {
+    const last = list[list.length - 1];
+    setDraft([...list, { id: `w_${uid()}`, label: labelForIndex(list.length), shelves: last ? last.shelves.map(({ slots }) => ({ slots })) : [{ slots: 21 }] }]);
+  };
+
+  const applyLayout = () => {
+    const settings = normalizeSettings({ ...state.settings, walls: draft });
+    const displaced = state.polishes.filter((p) => slotKey(p) && !slotProblem(p, state.settings) && slotProblem(p, settings));
+    setDraft(null);
+    if (!displaced.length) return dispatch({ type: "settings/update", payload: settings });
+    const ids = new Set(displaced.map((p) => p.id));
+    const plan = planLayoutRepair({ ...state, settings }).filter((x) => ids.has(x.id));
+    setReflow({ settings, displaced, plan });
+  };
+
+  const applyReflow = (moveTo) => {
+    const { settings, plan } = reflow;
+    dispatch({
+      type: "batch",
+      label: moveTo === "bin" ? `Resized layout, ${plan.length} to the unplaced bin` : `Resized layout, reflowed ${plan.length}`,
+      destructive: true,
+      actions: [
+        { type: "settings/update", payload: settings },
+        ...plan.map((x) => ({ type: "polish/update", payload: { id: x.id, ...(moveTo === "bin" ? UNPLACED : x.fix) } })),
+      ],
+    });
+    setReflow(null);
+  };
+
+  const totalSlots = (ws) => ws.reduce((n, w) => n + w.shelves.reduce((m, sh) => m + sh.slots, 0), 0);
+
+  return (
+    <>
+      <Section title="Layout settings" subtitle="Walls, shelves per wall, slots per shelf, and names">
+        <div className="grid gap-3">
+          {list.map((w, idx) => {
+            const sameSlots = w.shelves.every((sh) => sh.slots === w.shelves[0].slots);
+            return (
+              <div key={w.id} className="rounded-2xl p-3 bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10 grid gap-3">
+                <div className="grid sm:grid-cols-[2fr_1fr_1fr_auto] gap-3 items-end">
+                  <Input label={`Wall ${idx + 1} name`} value={w.label} onChange={(e) => editWall(w.id, (x) => ({ ...x, label: e.target.value }))} />
+                  <Input
+                    label="Shelves"
+                    type="number"
+                    min={1}
+                    max={MAX_SHELVES}
+                    value={w.shelves.length}
+                    onChange={(e) => editWall(w.id, (x) => resizeShelves(x, e.target.value))}
+                  />
+                  <Input
+                    label="Slots per shelf"
+                    type="number"
+                    min={1}
+                    max={MAX_SLOTS}
+                    value={sameSlots ? w.shelves[0].slots : ""}
+                    placeholder="mixed"
+                    onChange={(e) => editWall(w.id, (x) => ({ ...x, shelves: x.shelves.map((sh) => ({ ...sh, slots: count(e.target.value, MAX_SLOTS) })) }))}
+                  />
+                  <div className="flex gap-2">
+                    <ToolbarButton label={openWall === w.id ? "Hide shelves" : "Shelves…"} onClick={() => setOpenWall(openWall === w.id ? null : w.id)} className="bg-black/10" />
+                    {list.length > 1 && <ToolbarButton label="Remove" onClick={() => setDraft(list.filter((x) => x.id !== w.id))} className="bg-rose-100 text-rose-800" />}
+                  </div>
+                </div>
+                {openWall === w.id && (
+                  <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                    {w.shelves.map((sh, i) => (
+                      <div key={i} className="grid grid-cols-[2fr_1fr] gap-2">
+                        <Input
+                          label={`Shelf ${i + 1} label`}
+                          placeholder="optional, e.g. Drawer 1"
+                          value={sh.label || ""}
+                          onChange={(e) => editWall(w.id, (x) => ({ ...x, shelves: x.shelves.map((y, j) => (j === i ? { ...y, label: e.target.value } : y)) }))}
+                        />
+                        <Input
+                          label="Slots"
+                          type="number"
+                          min={1}
+                          max={MAX_SLOTS}
+                          value={sh.slots}
+                          onChange={(e) => editWall(w.id, (x) => ({ ...x, shelves: x.shelves.map((y, j) => (j === i ? { ...y, slots: count(e.target.value, MAX_SLOTS) } : y)) }))}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center justify-between gap-2">
+          <div className="text-sm opacity-70">
+            {list.length} wall(s), {list.reduce((n, w) => n + w.shelves.length, 0)} shelves, {totalSlots(list)} slots
+          </div>
+          <div className="flex gap-2">
+            <ToolbarButton label="Add wall" onClick={addWall} className="bg-indigo-100 text-indigo-800" />
+            {draft && <ToolbarButton label="Discard" onClick={() => setDraft(null)} className="bg-black/10" />}
+            {draft && <ToolbarButton label="Apply layout" onClick={applyLayout} className="bg-fuchsia-100 text-fuchsia-800" />}
+          </div>
+        </div>
+      </Section>
+
+      {reflow && (
+        <Section
+          title={`This layout leaves ${reflow.displaced.length} bottle${reflow.displaced.length === 1 ? "" : "s"} without a slot`}
+          subtitle={`${reflow.settings.walls.length} wall(s), ${totalSlots(reflow.settings.walls)} slots`}
+        >
+          <ul className="grid gap-1 text-sm max-h-64 overflow-auto">
+            {reflow.plan.map((x) => (
+              <li key={x.id} className="flex flex-wrap justify-between gap-2">
+                <span>
+                  <strong>{x.polish.brand || "—"} · {x.polish.name}</strong> <span className="opacity-70">({slotLabel(state.settings, x.polish)})</span>
+                </span>
+                <span className="opacity-80">reflow → {x.fix.wall ? slotLabel(reflow.settings, x.fix) : "no free slot, unplaced"}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-3 flex flex-wrap justify-end gap-2">
+            <ToolbarButton label="Cancel" onClick={() => setReflow(null)} className="bg-black/10" />
+            <ToolbarButton label="Move to unplaced bin" onClick={() => applyReflow("bin")} className="bg-amber-100 text-amber-900" />
+            <ToolbarButton label="Reflow into free slots" onClick={() => applyReflow("reflow")} className="bg-emerald-100 text-emerald-900" />
+          </div>
+        </Section>
+      )}
+    </>
+  );
+}
+
+// Sort a wall, a shelf range or the whole rack; previewed before anything moves
+function AutoArrange({ state, dispatch }) {
+  const { walls } = state.settings;
+  const [open, setOpen] = useState(false);
+  const [options, setOptions] = useState({ scope: "all", wall: walls[0]?.id, fromShelf: 1, toShelf: walls[0]?.shelves.length || 1, sort: "color", groupBy: "", keepPinned: true, collection: null });
+  const rangeShelves = shelfCount(state.settings, options.wall);
+  const [preview, setPreview] = useState(null);
+  const set = (patch) => {
+    setOptions((o) => ({ ...o, ...patch }));
+    setPreview(null);
+  };
+
+  const scopeSlots = () => {
+    if (options.scope === "all") return listSlots(state.settings);
+    if (options.scope !== "range") return listSlots(state.settings, { walls: [options.scope] });
+    const [fromShelf, toShelf] = [Math.min(options.fromShelf, options.toShelf), Math.max(options.fromShelf, options.toShelf)];
+    return listSlots(state.settings, { walls: [options.wall], fromShelf: Math.max(1, fromShelf), toShelf });
+  };
+
+  const makePreview = () => {
+    let slots = scopeSlots();
+    let bottles = state.polishes;
+    const target = state.smartCollections.find((c) => c.id === options.collection);
+    if (target) {
+      // a smart collection's bottles trade places among the slots they already hold
+      bottles = smartCollectionPolishes(state, target);
+      const held = new Set(bottles.filter((p) => slotKey(p)).map(slotKey));
+      slots = slots.filter((slot) => held.has(slotKey(slot)));
+    }
+    const moves = planArrangement(bottles, slots, options);
+    const stacked = stackedBottles(bottles, slots, options);
+    const before = new Map(state.polishes.filter((p) => slotKey(p)).map((p) => [slotKey(p), p]));
+    const after = new Map(before);
+    moves.forEach((m) => after.delete(slotKey(m.from)));
+    moves.forEach((m) => after.set(slotKey(m.to), m.polish));
+    // only the shelves something moves on
+    const shelves = [...new Set(moves.flatMap((m) => [`${m.from.wall}-${m.from.shelf}`, `${m.to.wall}-${m.to.shelf}`]))]
+      .map((k) => slots.find((s) => `${s.wall}-${s.shelf}` === k))
+      .sort((a, b) => wallIds(state.settings).indexOf(a.wall) - wallIds(state.settings).indexOf(b.wall) || a.shelf - b.shelf);
+    setPreview({ moves, before, after, shelves, stacked });
+  };
+
+  const apply = () => {
+    dispatch({
+      type: "batch",
+      label: `Auto-arranged ${preview.moves.length} bottle${preview.moves.length === 1 ? "" : "s"}`,
+      destructive: true,
+      actions: preview.moves.map((m) => ({ type: "polish/update", payload: { id: m.id, ...m.to } })),
+    });
+    setPreview(null);
+  };
+
+  const strip = (map, { wall, shelf }) => (
+    <div className="grid gap-0.5" style={{ gridTemplateColumns: `repeat(${slotCount(state.settings, wall, shelf)}, minmax(0, 1fr))` }}>
+      {Array.from({ length: slotCount(state.settings, wall, shelf) }, (_, j) => {
+        const p = map.get(`${wall}-${shelf}-${j + 1}`);
+        return (
+          <div
+            key={j}
+            title={p ? `${p.brand || "—"} · ${p.name}${p.pinned ? " (pinned)" : ""}` : `Position ${j + 1}`}
+            className={`h-5 rounded-sm ${p ? "" : "border border-dashed border-black/20 dark:border-white/20"} ${p?.pinned ? "ring-1 ring-fuchsia-500" : ""}`}
+            style={p ? finishStyle(p.colorHex || "#ddd", p.finish) : undefined}
+          />
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <Section
+      title="Auto-arrange"
+      subtitle="Sort bottles by colour, brand, collection, finish or date added"
+      right={<ToolbarButton label={open ? "Hide" : "Auto-arrange…"} onClick={() => setOpen((v) => !v)} className="bg-fuchsia-100 text-fuchsia-800" />}
+    >
+      {open && (
+        <div className="grid gap-3">
+          <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3 items-end">
+            <Select
+              label="Scope"
+              allowEmpty={false}
+              value={options.scope}
+              onChange={(v) => set({ scope: v })}
+              options={[{ value: "all", label: "Whole rack" }, ...walls.map((w) => ({ value: w.id, label: `Wall ${w.label}` })), { value: "range", label: "Shelf range…" }]}
+            />
+            <Select label="Sort by" allowEmpty={false} value={options.sort} onChange={(v) => set({ sort: v })} options={Object.entries(ARRANGE_SORTS).map(([value, s]) => ({ value, label: s.label }))} />
+            <Select label="Grouping" allowEmpty={false} value={options.groupBy} onChange={(v) => set({ groupBy: v || "" })} options={Object.entries(ARRANGE_GROUPS).map(([value, label]) => ({ value, label }))} />
+            <label className="flex items-center gap-2 text-sm py-2">
+              <input type="checkbox" checked={options.keepPinned} onChange={(e) => set({ keepPinned: e.target.checked })} />
+              Leave pinned bottles where they are
+            </label>
+            {state.smartCollections.length > 0 && (
+              <Select
+                label="Only bottles in"
+                value={options.collection}
+                onChange={(v) => set({ collection: v })}
+                options={state.smartCollections.map((c) => ({ value: c.id, label: c.name }))}
+              />
+            )}
+          </div>
+          {options.scope === "range" && (
+            <div className="grid grid-cols-3 gap-3">
+              <Select label="Wall" allowEmpty={false} value={options.wall} onChange={(v) => set({ wall: v })} options={walls.map((w) => ({ value: w.id, label: w.label }))} />
+              <Input label={`From shelf (1–${rangeShelves})`} type="number" min={1} max={rangeShelves} value={options.fromShelf} onChange={(e) => set({ fromShelf: Number(e.target.value || 1) })} />
+              <Input label={`To shelf (1–${rangeShelves})`} type="number" min={1} max={rangeShelves} value={options.toShelf} onChange={(e) => set({ toShelf: Number(e.target.value || 1) })} />
+            </div>
+          )}
+          <div className="flex justify-end">
+            <ToolbarButton label="Preview" onClick={makePreview} className="bg-indigo-100 text-indigo-800" />
+          </div>
+
+          {preview && !!preview.stacked.length && (
+            <div className="text-sm text-amber-800 dark:text-amber-200">
+              {preview.stacked.length} bottle{preview.stacked.length === 1 ? " shares" : "s share"} a slot with another and will stay put until the layout
+              doctor gives {preview.stacked.length === 1 ? "it" : "each"} a slot of its own.
+            </div>
+          )}
+          {preview && !preview.moves.length && <div className="text-sm opacity-80">Everything in scope is already in that order.</div>}
+          {preview && !!preview.moves.length && (
+            <div className="grid gap-3">
+              <div className="text-sm">
+                {preview.moves.length} bottle{preview.moves.length === 1 ? "" : "s"} would move across {preview.shelves.length} shelf{preview.shelves.length === 1 ? "" : "es"}.
+              </div>
+              <div className="grid gap-3 max-h-96 overflow-auto">
+                {preview.shelves.map((s) => (
+                  <div key={`${s.wall}-${s.shelf}`} className="grid gap-1 text-xs">
+                    <div className="font-semibold">Wall {wallLabel(state.settings, s.wall)} · Shelf {s.shelf}</div>
+                    <div className="grid grid-cols-[3.5rem_1fr] items-center gap-2">
+                      <span className="opacity-70">Before</span>
+                      {strip(preview.before, s)}
+                      <span className="opacity-70">After</span>
+                      {strip(preview.after, s)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-end gap-2">
+                <ToolbarButton label="Cancel" onClick={() => setPreview(null)} className="bg-black/10" />
+                <ToolbarButton label={`Move ${preview.moves.length} bottles`} onClick={apply} className="bg-emerald-100 text-emerald-900" />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Section>
+  );
+}
+
+// Collisions and impossible slots (from older versions, sync races or a smaller layout)
+function LayoutDoctor({ state, dispatch }) {
+  const problems = useMemo(() => planLayoutRepair(state), [state]);
+  if (!problems.length) return null;
+  const fixText = (fix) => (fix.wall ? `move to ${slotLabel(state.settings, fix)}` : "take off the wall (no free slot)");
+  const apply = (list) =>
+    dispatch({
+      type: "batch",
+      label: list.length === 1 ? "Fixed a shelf placement" : `Fixed ${list.length} shelf placements`,
+      actions: list.map((x) => ({ type: "polish/update", payload: { id: x.id, ...x.fix } })),
+    });
+  return (
+    <Section
+      title="Layout doctor"
+      subtitle={`${problems.length} bottle${problems.length === 1 ? "" : "s"} without a valid slot of their own`}
+      right={<ToolbarButton label="Fix all" onClick={() => apply(problems)} className="bg-amber-100 text-amber-900" />}
+    >
+      <ul className="grid gap-2 text-sm">
+        {problems.map((x) => (
+          <li key={x.id} className="flex flex-wrap items-center justify-between gap-2 rounded-xl p-2 bg-amber-50 dark:bg-amber-500/10 ring-1 ring-amber-200 dark:ring-amber-500/20">
+            <span>
+              <strong>{x.polish.brand || "—"} · {x.polish.name}</strong> {x.issue}.
+            </span>
+            <span className="flex gap-2">
+              <ToolbarButton label={fixText(x.fix)} onClick={() => apply([x])} className="bg-white/70 dark:bg-white/10" />
+              {x.fix.wall && (
+                <ToolbarButton
+                  label="Unplace"
+                  onClick={() => dispatch({ type: "polish/update", payload: { id: x.id, ...UNPLACED } })}
+                  className="bg-black/10"
+                />
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </Section>
+  );
+}
+
 /* ---------- Tools ---------- */
-function ToolsView({ state, dispatch }) {
-  const [form, setForm] = useState({ id: uid(), name: "", type: "", brand: "", notes: "", image: null });
+function ToolsView({ state, dispatch, focusId }) {
+  const [form, setForm] = useState({ id: uid(), name: "", type: "", brand: "", notes: "", imageId: null });
   const [query, setQuery] = useState("");
   const filtered = useMemo(() => {
     const q = query.toLowerCase();
     return state.tools.filter((t) => [t.name, t.brand, t.type].join(" ").toLowerCase().includes(q));
   }, [state.tools, query]);
+  // a tool opened from elsewhere, e.g. a manicure
+  useEffect(() => {
+    if (focusId) document.getElementById(`tool-${focusId}`)?.scrollIntoView?.({ behavior: "smooth", block: "center" });
+  }, [focusId]);
 
   return (
     <div className="grid gap-4">
@@ -868,7 +2815,7 @@ function ToolsView({ state, dispatch }) {
           onSubmit={(e) => {
             e.preventDefault();
             dispatch({ type: "tool/add", payload: form });
-            setForm({ id: uid(), name: "", type: "", brand: "", notes: "", image: null });
+            setForm({ id: uid(), name: "", type: "", brand: "", notes: "", imageId: null });
           }}
         >
           <Input label="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
@@ -876,7 +2823,7 @@ function ToolsView({ state, dispatch }) {
           <Input label="Brand (optional)" value={form.brand} onChange={(e) => setForm({ ...form, brand: e.target.value })} />
           <Textarea label="Notes" rows={3} value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
           <div className="sm:col-span-2">
-            <ImageInput label="Tool photo" value={form.image} onChange={(v) => setForm({ ...form, image: v })} />
+            <ImageInput label="Tool photo" value={form.imageId} onChange={(v) => setForm({ ...form, imageId: v })} maxDimension={state.settings.imageMaxDimension} />
           </div>
           <div className="sm:col-span-2 flex justify-end">
             <button className="px-4 py-2 rounded-xl bg-emerald-100 text-emerald-900 font-semibold">Add tool</button>
@@ -887,9 +2834,9 @@ function ToolsView({ state, dispatch }) {
       <Section title="Your tools" right={<Input label="Search" value={query} onChange={(e) => setQuery(e.target.value)} />}>
         <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-3">
           {filtered.map((t) => (
-            <div key={t.id} className="p-4 rounded-2xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10">
+            <div key={t.id} id={`tool-${t.id}`} className={`p-4 rounded-2xl bg-white dark:bg-zinc-900 ring-1 ${focusId === t.id ? "ring-2 ring-amber-400" : "ring-black/5 dark:ring-white/10"}`}>
               <div className="flex items-start gap-3">
-                <img src={t.image || placeholderFromHex("#d1d5db")} alt="tool" className="w-16 h-16 object-cover rounded-lg border" />
+                <StoredImage imageId={t.imageId} fallback={t.image || placeholderFromHex("#d1d5db")} alt="tool" className="w-16 h-16 object-cover rounded-lg border" />
                 <div className="min-w-0 flex-1">
                   <div className="font-semibold truncate">{t.name}</div>
                   <div className="text-xs opacity-70">
@@ -942,89 +2889,878 @@ function SelectMulti({ label, options, values, onChange }) {
   );
 }
 
-function ManicuresView({ state, dispatch }) {
-  const [form, setForm] = useState({
-    id: uid(),
-    date: new Date().toISOString().slice(0, 10),
-    title: "",
-    polishes: [],
-    tools: [],
-    steps: [],
-    notes: "",
-    image: null,
-    rating: 5,
-    wearDays: 0,
-    tags: [],
-  });
-  const [stepText, setStepText] = useState("");
+// Layers of a manicure, bottom to top; `links` is what a layer of that kind usually uses
+const MANI_LAYERS = [
+  { kind: "prep", label: "Prep", links: "tool" },
+  { kind: "base", label: "Base", links: "polish" },
+  { kind: "color", label: "Color", links: "polish" },
+  { kind: "top", label: "Top", links: "polish" },
+  { kind: "art", label: "Nail art", links: "polish" },
+  { kind: "cure", label: "Cure", links: "tool" },
+];
+const layerLabel = (kind) => MANI_LAYERS.find((l) => l.kind === kind)?.label || kind;
+const newLayer = (kind = "color") => ({ id: uid(), kind, polishId: null, toolId: null, coats: kind === "color" ? 2 : 1, note: "" });
+const blankMani = () => {
+  const now = Date.now();
+  return { id: uid(), date: localDate(now), title: "", polishes: [], tools: [], layers: [], nails: {}, toes: false, events: [{ id: uid(), type: "applied", at: now }], notes: "", imageId: null, rating: 5, tags: [] };
+};
+const toolTitle = (t) => `${t.name}${t.brand ? ` · ${t.brand}` : ""}`;
 
-  const addStep = () => {
-    const s = stepText.trim();
-    if (!s) return;
-    setForm((f) => ({ ...f, steps: [...f.steps, { step: s }] }));
-    setStepText("");
+function LayerEditor({ layers, onChange, polishes, tools, label = "Layers (bottom to top)", itemName = "Layer" }) {
+  const update = (i, patch) => onChange(layers.map((l, j) => (j === i ? { ...l, ...patch } : l)));
+  const move = (i, by) => {
+    const next = [...layers];
+    [next[i], next[i + by]] = [next[i + by], next[i]];
+    onChange(next);
   };
-
-  const save = () => {
-    dispatch({ type: "mani/add", payload: form });
-    setForm({ id: uid(), date: new Date().toISOString().slice(0, 10), title: "", polishes: [], tools: [], steps: [], notes: "", image: null, rating: 5, wearDays: 0, tags: [] });
+  // one select for both kinds of link, the likelier kind listed first
+  const linkOptions = (kind) => {
+    const polishOpts = polishes.map((p) => ({ value: `polish:${p.id}`, label: `Polish · ${polishTitle(p)}` }));
+    const toolOpts = tools.map((t) => ({ value: `tool:${t.id}`, label: `Tool · ${toolTitle(t)}` }));
+    return MANI_LAYERS.find((l) => l.kind === kind)?.links === "tool" ? [...toolOpts, ...polishOpts] : [...polishOpts, ...toolOpts];
   };
-
   return (
-    <div className="grid gap-4">
-      <Section title="Log a manicure" subtitle="Select polishes/tools, add steps, and upload a final photo">
-        <div className="grid sm:grid-cols-2 gap-3">
-          <Input label="Date" type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
-          <Input label="Title (optional)" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
-          <SelectMulti label="Polishes used" options={state.polishes.map((p) => ({ value: p.id, label: `${p.brand || "—"} · ${p.name}` }))} values={form.polishes} onChange={(vals) => setForm({ ...form, polishes: vals })} />
-          <SelectMulti label="Tools used" options={state.tools.map((t) => ({ value: t.id, label: `${t.name}${t.brand ? ` · ${t.brand}` : ""}` }))} values={form.tools} onChange={(vals) => setForm({ ...form, tools: vals })} />
-          <div className="grid sm:grid-cols-2 gap-3">
-            <Input label="Rating (1–5)" type="number" min={1} max={5} value={form.rating} onChange={(e) => setForm({ ...form, rating: Number(e.target.value) })} />
-            <Input label="Wear days" type="number" min={0} max={60} value={form.wearDays} onChange={(e) => setForm({ ...form, wearDays: Number(e.target.value) })} />
-          </div>
-          <div className="sm:col-span-2"><Textarea label="Notes" rows={3} value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} /></div>
-          <div className="sm:col-span-2"><ImageInput label="Final photo" value={form.image} onChange={(v) => setForm({ ...form, image: v })} /></div>
-          <div className="sm:col-span-2">
-            <label className="grid gap-2 text-sm">
-              <span className="opacity-80">Steps</span>
-              <div className="flex gap-2">
-                <input className="flex-1 px-3 py-2 rounded-xl border border-black/10 dark:border-white/10 bg-white dark:bg-zinc-900" placeholder="e.g., Base coat · 2 coats color · Glossy top coat" value={stepText} onChange={(e) => setStepText(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addStep()} />
-                <ToolbarButton label="Add step" onClick={addStep} className="bg-indigo-100 text-indigo-800" />
-              </div>
-              <ol className="list-decimal ml-5 grid gap-1">
-                {form.steps.map((s, idx) => (
-                  <li key={idx} className="text-sm flex items-center justify-between gap-2">
-                    <span>{s.step}</span>
-                    <Chip className="bg-black/10" onClick={() => setForm({ ...form, steps: form.steps.filter((_, i) => i !== idx) })}>Remove</Chip>
+    <div className="grid gap-2 text-sm">
+      <span className="opacity-80">{label}</span>
+      <ol className="grid gap-2">
+        {layers.map((l, i) => (
+          <li key={l.id} aria-label={`${itemName} ${i + 1}`} className="grid sm:grid-cols-[8rem_1fr_5rem_1fr_auto] gap-2 items-end rounded-xl border border-black/10 dark:border-white/10 p-2">
+            <Select label="Kind" allowEmpty={false} options={MANI_LAYERS.map((k) => ({ value: k.kind, label: k.label }))} value={l.kind} onChange={(v) => update(i, { kind: v })} />
+            <Select
+              label="Uses"
+              options={linkOptions(l.kind)}
+              value={l.polishId ? `polish:${l.polishId}` : l.toolId ? `tool:${l.toolId}` : null}
+              onChange={(v) => {
+                const [type, id] = (v || "").split(":");
+                update(i, { polishId: type === "polish" ? id : null, toolId: type === "tool" ? id : null });
+              }}
+            />
+            <Input label="Coats" type="number" min={0} max={10} value={l.coats ?? ""} onChange={(e) => update(i, { coats: e.target.value === "" ? null : Number(e.target.value) })} />
+            <Input label="Note" value={l.note || ""} onChange={(e) => update(i, { note: e.target.value })} placeholder="e.g., thin coats, capped edges" />
+            <div className="flex gap-1 pb-1">
+              <Chip className="bg-black/10" onClick={() => i > 0 && move(i, -1)}>↑</Chip>
+              <Chip className="bg-black/10" onClick={() => i < layers.length - 1 && move(i, 1)}>↓</Chip>
+              <Chip className="bg-rose-100 text-rose-800" onClick={() => onChange(layers.filter((_, j) => j !== i))}>Remove</Chip>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <div className="flex flex-wrap gap-2">
+        {MANI_LAYERS.map((k) => (
+          <Chip key={k.kind} className="bg-indigo-100 text-indigo-800" onClick={() => onChange([...layers, newLayer(k.kind)])}>
+            + {k.label}
+          </Chip>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* Per-nail design map: `mani.nails` is { [nailId]: { layers, crop } } for nails that differ
+   from the set's own layers (accent nails, skittles, gradients). `crop` ({ x, y, w, h }, as
+   fractions) marks the nail on the manicure's photo. */
+const FINGERS = ["thumb", "index", "middle", "ring", "pinky"];
+const TOES = ["big toe", "2nd toe", "3rd toe", "4th toe", "little toe"];
+// in the order they're drawn: left hand pinky to thumb, then right thumb to pinky
+const NAIL_GROUPS = [
+  { id: "hands", label: "Hands", nails: [...FINGERS.map((f, i) => ({ id: `L${i + 1}`, label: `Left ${f}` })).reverse(), ...FINGERS.map((f, i) => ({ id: `R${i + 1}`, label: `Right ${f}` }))] },
+  { id: "toes", label: "Toes", nails: [...TOES.map((t, i) => ({ id: `LT${i + 1}`, label: `Left ${t}` })).reverse(), ...TOES.map((t, i) => ({ id: `RT${i + 1}`, label: `Right ${t}` }))] },
+];
+const nailLabel = (id) => NAIL_GROUPS.flatMap((g) => g.nails).find((n) => n.id === id)?.label || id;
+
+// The polish that shows on a nail: its own top colour (or art) layer, else the set's
+function nailPolish(state, mani, nailId) {
+  const find = (id) => id && state.polishes.find((p) => p.id === id);
+  const top = (layers = []) => {
+    const linked = layers.filter((l) => find(l.polishId));
+    const pick = [...linked].reverse().find((l) => l.kind === "color") || [...linked].reverse().find((l) => l.kind === "art");
+    return pick && find(pick.polishId);
+  };
+  const own = mani.nails?.[nailId]?.layers;
+  return own?.length ? top(own) || null : top(mani.layers) || find(mani.polishes?.[0]) || null;
+}
+
+// Tappable hand (and foot) diagram; read-only when there's no onSelect
+function NailMap({ state, mani, selected, onSelect, small = false }) {
+  const groups = NAIL_GROUPS.filter((g) => g.id === "hands" || mani.toes);
+  return (
+    <div className="grid gap-2">
+      {groups.map((g) => (
+        <div key={g.id} role="group" aria-label={g.label} className="flex items-end justify-center gap-1">
+          {g.nails.map((n, i) => {
+            const p = nailPolish(state, mani, n.id);
+            const own = !!mani.nails?.[n.id]?.layers?.length;
+            const size = small ? "w-3 h-4" : n.label.endsWith("thumb") || n.label.endsWith("big toe") ? "w-8 h-10" : "w-6 h-9";
+            const style = p ? finishStyle(p.colorHex || "#ddd", p.finish) : undefined;
+            // a gap between the two hands
+            const gap = i === g.nails.length / 2 ? (small ? "ml-2" : "ml-4") : "";
+            const className = `${size} ${gap} rounded-t-full rounded-b-md border ${p ? "border-black/10" : "border-dashed border-black/20 dark:border-white/20"} ${
+              selected === n.id ? "ring-2 ring-fuchsia-500" : own && !small ? "ring-1 ring-amber-400" : ""
+            }`;
+            const title = `${n.label}: ${p ? polishTitle(p) : "no polish"}${own ? " (own design)" : ""}`;
+            return onSelect ? (
+              <button key={n.id} type="button" aria-label={title} aria-pressed={selected === n.id} onClick={() => onSelect(n.id)} className={className} style={style} />
+            ) : (
+              <span key={n.id} title={title} className={className} style={style} />
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Drag a box over the manicure photo to mark where a nail is
+function CropPicker({ imageId, value, onChange }) {
+  const url = useImageUrl(imageId, "full");
+  const boxRef = useRef();
+  const [drag, setDrag] = useState(null);
+  if (!imageId) return <div className="text-xs opacity-70">Add a final photo to mark this nail on it.</div>;
+  const point = (e) => {
+    const r = boxRef.current.getBoundingClientRect();
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return [clamp((e.clientX - r.left) / r.width), clamp((e.clientY - r.top) / r.height)];
+  };
+  const toRect = ({ from, to }) => ({ x: Math.min(from[0], to[0]), y: Math.min(from[1], to[1]), w: Math.abs(to[0] - from[0]), h: Math.abs(to[1] - from[1]) });
+  const rect = drag ? toRect(drag) : value;
+  return (
+    <div className="grid gap-1 text-xs">
+      <span className="opacity-70">Drag over the photo to mark this nail.</span>
+      <div
+        ref={boxRef}
+        className="relative w-56 max-w-full select-none touch-none cursor-crosshair"
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture?.(e.pointerId);
+          setDrag({ from: point(e), to: point(e) });
+        }}
+        onPointerMove={(e) => drag && setDrag({ ...drag, to: point(e) })}
+        onPointerUp={() => {
+          const next = drag && toRect(drag);
+          setDrag(null);
+          if (next && next.w > 0.02 && next.h > 0.02) onChange(next);
+        }}
+      >
+        {url && <img src={url} alt="manicure" draggable={false} className="w-full rounded-xl border border-black/10" />}
+        {rect && (
+          <div
+            className="absolute border-2 border-fuchsia-500 bg-fuchsia-500/10 pointer-events-none"
+            style={{ left: `${rect.x * 100}%`, top: `${rect.y * 100}%`, width: `${rect.w * 100}%`, height: `${rect.h * 100}%` }}
+          />
+        )}
+      </div>
+      {value && (
+        <div>
+          <Chip className="bg-black/10" onClick={() => onChange(null)}>Clear mark</Chip>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The marked part of the photo, scaled to fill the box
+function NailCrop({ imageId, crop, className = "" }) {
+  const url = useImageUrl(imageId, "full");
+  if (!url || !crop) return null;
+  const pos = (start, size) => (size >= 1 ? 0 : (start / (1 - size)) * 100);
+  return (
+    <div
+      role="img"
+      aria-label="nail close-up"
+      className={`bg-no-repeat rounded-lg border border-black/10 ${className}`}
+      style={{ backgroundImage: `url(${url})`, backgroundSize: `${100 / crop.w}% ${100 / crop.h}%`, backgroundPosition: `${pos(crop.x, crop.w)}% ${pos(crop.y, crop.h)}%` }}
+    />
+  );
+}
+
+function NailDesigner({ state, form, setForm }) {
+  const [selected, setSelected] = useState(null);
+  const nails = form.nails || {};
+  const nail = selected && (nails[selected] || { layers: [], crop: null });
+  const setNail = (id, value) =>
+    setForm((f) => {
+      const next = { ...(f.nails || {}) };
+      if (value && (value.layers.length || value.crop)) next[id] = value;
+      else delete next[id];
+      return { ...f, nails: next };
+    });
+  const copyToAll = () =>
+    setForm((f) => {
+      const source = f.nails?.[selected];
+      const group = NAIL_GROUPS.find((g) => g.nails.some((n) => n.id === selected));
+      const next = { ...(f.nails || {}) };
+      for (const n of group.nails) if (n.id !== selected) next[n.id] = { layers: source.layers.map((l) => ({ ...l, id: uid() })), crop: next[n.id]?.crop || null };
+      return { ...f, nails: next };
+    });
+  return (
+    <div className="grid gap-3 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <span className="opacity-80">Nail by nail — tap a nail to give it its own design</span>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!form.toes} onChange={(e) => setForm((f) => ({ ...f, toes: e.target.checked }))} />
+          Include toes
+        </label>
+      </div>
+      <NailMap state={state} mani={form} selected={selected} onSelect={(id) => setSelected((s) => (s === id ? null : id))} />
+      {nail && (
+        <div className="grid gap-3 rounded-xl border border-black/10 dark:border-white/10 p-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="font-semibold">{nailLabel(selected)}</span>
+            <div className="flex gap-2">
+              {nail.layers.length > 0 && <Chip className="bg-indigo-100 text-indigo-800" onClick={copyToAll}>Copy to the other {selected.includes("T") ? "toes" : "fingers"}</Chip>}
+              {(nail.layers.length > 0 || nail.crop) && <Chip className="bg-rose-100 text-rose-800" onClick={() => setNail(selected, null)}>Same as the set</Chip>}
+            </div>
+          </div>
+          {!nail.layers.length && <div className="text-xs opacity-70">This nail wears the set's layers. Add layers to give it its own.</div>}
+          <LayerEditor
+            label={`${nailLabel(selected)} layers`}
+            itemName={`${nailLabel(selected)} layer`}
+            layers={nail.layers}
+            onChange={(layers) => setNail(selected, { ...nail, layers })}
+            polishes={state.polishes}
+            tools={state.tools}
+          />
+          <CropPicker imageId={form.imageId} value={nail.crop} onChange={(crop) => setNail(selected, { ...nail, crop })} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// New and existing manicures; polishes and tools linked from layers count as used
+function ManiForm({ state, initial, onSubmit, onCancel }) {
+  const [form, setForm] = useState(() => ({ ...blankMani(), ...initial }));
+  // smart collection the polish list is narrowed to
+  const [polishSource, setPolishSource] = useState(null);
+  const sourceIds = useMemo(() => {
+    const source = state.smartCollections.find((c) => c.id === polishSource);
+    return source && new Set(smartCollectionPolishes(state, source).map((p) => p.id));
+  }, [state, polishSource]);
+  // picked polishes stay listed so they can be unticked
+  const polishOptions = state.polishes
+    .filter((p) => !sourceIds || sourceIds.has(p.id) || form.polishes.includes(p.id))
+    .map((p) => ({ value: p.id, label: polishTitle(p) }));
+
+  const applied = wearSummary(form).applied;
+  // the applied event dates the manicure
+  const setApplied = (at) => {
+    if (!Number.isFinite(at)) return;
+    setForm((f) => {
+      const events = f.events || [];
+      const next = events.some((e) => e.type === "applied") ? events.map((e) => (e.type === "applied" ? { ...e, at } : e)) : [...events, { id: uid(), type: "applied", at }];
+      return { ...f, events: next, date: localDate(at) };
+    });
+  };
+
+  const submit = () => {
+    const layers = [...form.layers, ...Object.values(form.nails || {}).flatMap((n) => n.layers)];
+    const linked = (key) => layers.map((l) => l[key]).filter(Boolean);
+    onSubmit({
+      ...form,
+      polishes: [...new Set([...form.polishes, ...linked("polishId")])],
+      tools: [...new Set([...form.tools, ...linked("toolId")])],
+    });
+  };
+
+  return (
+    <div className="grid gap-3">
+      <div className="grid sm:grid-cols-2 gap-3">
+        <Input label="Applied" type="datetime-local" value={applied ? toLocalInput(applied.at) : ""} onChange={(e) => setApplied(fromLocalInput(e.target.value))} />
+        <Input label="Title (optional)" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
+        <div className="grid gap-2">
+          {state.smartCollections.length > 0 && (
+            <Select
+              label="Pick polishes from"
+              value={polishSource}
+              onChange={setPolishSource}
+              options={state.smartCollections.map((c) => ({ value: c.id, label: `${c.name} (${smartCollectionPolishes(state, c).length})` }))}
+            />
+          )}
+          <SelectMulti label="Polishes used" options={polishOptions} values={form.polishes} onChange={(vals) => setForm({ ...form, polishes: vals })} />
+        </div>
+        <SelectMulti label="Tools used" options={state.tools.map((t) => ({ value: t.id, label: toolTitle(t) }))} values={form.tools} onChange={(vals) => setForm({ ...form, tools: vals })} />
+        <div className="grid sm:grid-cols-2 gap-3">
+          <Input label="Rating (1–5)" type="number" min={1} max={5} value={form.rating} onChange={(e) => setForm({ ...form, rating: Number(e.target.value) })} />
+        </div>
+        <div className="sm:col-span-2"><Textarea label="Notes" rows={3} value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} /></div>
+        <div className="sm:col-span-2"><ImageInput label="Final photo" value={form.imageId} onChange={(v) => setForm({ ...form, imageId: v })} maxDimension={state.settings.imageMaxDimension} /></div>
+        <div className="sm:col-span-2">
+          <LayerEditor layers={form.layers} onChange={(layers) => setForm((f) => ({ ...f, layers }))} polishes={state.polishes} tools={state.tools} />
+        </div>
+        <div className="sm:col-span-2">
+          <NailDesigner state={state} form={form} setForm={setForm} />
+        </div>
+      </div>
+      <div className="flex justify-end gap-2">
+        {onCancel && <ToolbarButton label="Cancel" onClick={onCancel} className="bg-black/10" />}
+        <ToolbarButton label={initial?.id ? "Save changes" : "Save manicure"} onClick={submit} className="bg-emerald-100 text-emerald-900" />
+      </div>
+    </div>
+  );
+}
+
+// Polish and tool pills that open the entry in Inventory or Tools
+function ManiLinks({ state, mani, onOpen }) {
+  const polishes = mani.polishes.map((id) => state.polishes.find((p) => p.id === id)).filter(Boolean);
+  const tools = (mani.tools || []).map((id) => state.tools.find((t) => t.id === id)).filter(Boolean);
+  if (!polishes.length && !tools.length) return null;
+  return (
+    <div className="flex flex-wrap gap-1">
+      {polishes.map((p) => (
+        <Chip key={p.id} className="bg-fuchsia-50 text-fuchsia-900" onClick={() => onOpen("polishes", p.id)} label={`Open ${polishTitle(p)} in Inventory`}>
+          <ColorSwatch hex={p.colorHex} finish={p.finish} />
+          <span className="ml-1">{(p.brand || "—").slice(0, 10)} · {p.name}</span>
+        </Chip>
+      ))}
+      {tools.map((t) => (
+        <Chip key={t.id} className="bg-indigo-50 text-indigo-900" onClick={() => onOpen("tools", t.id)} label={`Open ${toolTitle(t)} in Tools`}>
+          🛠 {t.name}
+        </Chip>
+      ))}
+    </div>
+  );
+}
+
+// "YYYY-MM-DD" and datetime-local values for a timestamp, in this device's time zone
+const pad2 = (n) => String(n).padStart(2, "0");
+const localDate = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+const toLocalInput = (ms) => `${localDate(ms)}T${pad2(new Date(ms).getHours())}:${pad2(new Date(ms).getMinutes())}`;
+const fromLocalInput = (v) => (v ? new Date(v).getTime() : NaN);
+const formatDays = (d) => `${Number(d.toFixed(1))} day${Number(d.toFixed(1)) === 1 ? "" : "s"}`;
+
+function wearText(s) {
+  if (!s.applied) return "wear not logged";
+  if (s.ongoing) return `on for ${formatDays(s.wearDays)}`;
+  return `${formatDays(s.wearDays)} wear`;
+}
+
+// A polish's entry from polishUsage, for its Inventory card
+function usageText(u) {
+  const parts = [`Worn ${u.count}×`];
+  if (u.lastUsed != null) parts.push(`last ${localDate(u.lastUsed)}`);
+  if (u.avgRating != null) parts.push(`⭐ ${Number(u.avgRating.toFixed(1))} avg`);
+  if (u.avgWear != null) parts.push(`${formatDays(u.avgWear)} avg wear`);
+  return parts.join(" · ");
+}
+
+// The manicure's lifecycle: applied, chips (and which nail) and removal
+function WearLog({ mani, onChange }) {
+  const events = [...(mani.events || [])].sort((a, b) => a.at - b.at);
+  const summary = wearSummary(mani);
+  const [type, setType] = useState(summary.applied ? "chip" : "applied");
+  const [at, setAt] = useState(() => toLocalInput(Date.now()));
+  const [nail, setNail] = useState(null);
+  const nails = NAIL_GROUPS.filter((g) => g.id === "hands" || mani.toes).flatMap((g) => g.nails);
+  const log = () => {
+    const ms = fromLocalInput(at);
+    if (!Number.isFinite(ms)) return;
+    onChange([...events, { id: uid(), type, at: ms, ...(type === "chip" && nail ? { nail } : {}) }]);
+    setNail(null);
+    setType(type === "applied" ? "chip" : type);
+  };
+  return (
+    <div className="grid gap-2">
+      <div className="font-medium">Wear</div>
+      <div className="text-xs opacity-80">
+        {wearText(summary)}
+        {summary.firstChip && ` · first chip after ${formatDays(summary.chipDays)}${summary.firstChip.nail ? ` (${nailLabel(summary.firstChip.nail)})` : ""}`}
+      </div>
+      {events.length > 0 && (
+        <ol aria-label="Wear events" className="grid gap-1">
+          {events.map((e) => (
+            <li key={e.id} className="flex items-center justify-between gap-2">
+              <span>
+                {WEAR_EVENTS[e.type] || e.type}
+                {e.nail ? ` (${nailLabel(e.nail)})` : ""} — {new Date(e.at).toLocaleString()}
+              </span>
+              <Chip className="bg-black/10" onClick={() => onChange(events.filter((x) => x.id !== e.id))} label={`Remove ${WEAR_EVENTS[e.type] || e.type} event`}>
+                ×
+              </Chip>
+            </li>
+          ))}
+        </ol>
+      )}
+      <div className="grid sm:grid-cols-[8rem_1fr_1fr_auto] gap-2 items-end">
+        <Select label="Event" allowEmpty={false} value={type} onChange={setType} options={Object.entries(WEAR_EVENTS).map(([value, label]) => ({ value, label }))} />
+        <Input label="When" type="datetime-local" value={at} onChange={(e) => setAt(e.target.value)} />
+        {type === "chip" ? <Select label="Nail (optional)" value={nail} onChange={setNail} options={nails.map((n) => ({ value: n.id, label: n.label }))} /> : <span />}
+        <ToolbarButton label="Log" onClick={log} className="bg-indigo-100 text-indigo-800" />
+      </div>
+    </div>
+  );
+}
+
+function ManiDetail({ state, mani, onOpen, onEdit, onDelete, onClose, onEvents }) {
+  const linkFor = (l) => {
+    const p = l.polishId && state.polishes.find((x) => x.id === l.polishId);
+    if (p) return <button type="button" onClick={() => onOpen("polishes", p.id)} className="underline decoration-dotted">{polishTitle(p)}</button>;
+    const t = l.toolId && state.tools.find((x) => x.id === l.toolId);
+    if (t) return <button type="button" onClick={() => onOpen("tools", t.id)} className="underline decoration-dotted">{toolTitle(t)}</button>;
+    return <span className="opacity-60">{l.polishId || l.toolId ? "Deleted item" : "—"}</span>;
+  };
+  return (
+    <Section
+      title={mani.title || "Untitled manicure"}
+      subtitle={`${mani.date} · ⭐ ${mani.rating}/5 · ${wearText(wearSummary(mani))}`}
+      right={
+        <div className="flex gap-2">
+          <ToolbarButton label="Edit" onClick={onEdit} className="bg-indigo-100 text-indigo-800" />
+          <ToolbarButton label="Delete" onClick={() => window.confirm(`Delete “${mani.title || "Untitled manicure"}”? You can undo this right after.`) && onDelete()} className="bg-rose-100 text-rose-800" />
+          <ToolbarButton label="Close" onClick={onClose} className="bg-black/10" />
+        </div>
+      }
+    >
+      <div className="grid sm:grid-cols-[12rem_1fr] gap-4">
+        <StoredImage imageId={mani.imageId} variant="full" fallback={mani.image || placeholderFromHex("#fbcfe8")} alt="mani" className="w-48 h-48 object-cover rounded-xl border" />
+        <div className="grid gap-3 content-start text-sm">
+          {mani.notes && <p className="opacity-80 whitespace-pre-wrap">{mani.notes}</p>}
+          {mani.layers?.length > 0 && (
+            <table className="w-full text-left">
+              <thead className="opacity-60 text-xs">
+                <tr>
+                  <th className="font-medium py-1">Layer</th>
+                  <th className="font-medium">Uses</th>
+                  <th className="font-medium">Coats</th>
+                  <th className="font-medium">Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {mani.layers.map((l) => (
+                  <tr key={l.id} className="border-t border-black/5 dark:border-white/10">
+                    <td className="py-1">{layerLabel(l.kind)}</td>
+                    <td>{linkFor(l)}</td>
+                    <td>{l.coats ?? "—"}</td>
+                    <td className="opacity-80">{l.note}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {Object.keys(mani.nails || {}).length > 0 && (
+            <div className="grid gap-2">
+              <NailMap state={state} mani={mani} />
+              <ul className="grid gap-2">
+                {Object.entries(mani.nails).map(([id, nail]) => (
+                  <li key={id} className="flex items-center gap-3">
+                    <NailCrop imageId={mani.imageId} crop={nail.crop} className="w-10 h-10 shrink-0" />
+                    <div className="min-w-0">
+                      <div className="font-medium">{nailLabel(id)}</div>
+                      <div className="text-xs opacity-80">
+                        {nail.layers.length
+                          ? nail.layers.map((l) => `${layerLabel(l.kind)}${l.polishId ? `: ${polishTitle(state.polishes.find((p) => p.id === l.polishId) || { name: "deleted polish" })}` : ""}${l.coats ? ` ×${l.coats}` : ""}`).join(" · ")
+                          : "Same as the set"}
+                      </div>
+                    </div>
                   </li>
                 ))}
-              </ol>
-            </label>
+              </ul>
+            </div>
+          )}
+          <WearLog mani={mani} onChange={onEvents} />
+          <ManiLinks state={state} mani={mani} onOpen={onOpen} />
+          {mani.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {mani.tags.map((t) => (
+                <Pill key={t}>{t}</Pill>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </Section>
+  );
+}
+
+// The day a manicure sits under on the calendar: when it was applied, else its date
+const maniDay = (m) => {
+  const applied = wearSummary(m).applied;
+  return applied ? localDate(applied.at) : m.date;
+};
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const blankPlan = (date) => ({ id: uid(), date, title: "", polishes: [], tools: [], notes: "" });
+
+// Past manicures and planned ones ({ id, date, title, polishes, tools, notes }) by day.
+// A day's number starts a plan for that day.
+function ManiCalendar({ state, selectedId, onOpenMani, onOpenPlan, onPlanDay }) {
+  const [month, setMonth] = useState(() => {
+    const d = new Date();
+    return new Date(d.getFullYear(), d.getMonth(), 1);
+  });
+  const byDay = useMemo(() => {
+    const map = new Map();
+    const add = (day, entry) => day && map.set(day, [...(map.get(day) || []), entry]);
+    state.manis.forEach((m) => add(maniDay(m), { kind: "mani", item: m }));
+    state.plans.forEach((p) => add(p.date, { kind: "plan", item: p }));
+    return map;
+  }, [state.manis, state.plans]);
+
+  const y = month.getFullYear();
+  const m = month.getMonth();
+  // Monday-first weeks covering the whole month
+  const lead = (month.getDay() + 6) % 7;
+  const weeks = Math.ceil((lead + new Date(y, m + 1, 0).getDate()) / 7);
+  const days = Array.from({ length: weeks * 7 }, (_, i) => new Date(y, m, 1 - lead + i));
+  const today = localDate(Date.now());
+  const upcoming = state.plans.filter((p) => p.date >= today).sort((a, b) => a.date.localeCompare(b.date));
+
+  return (
+    <div className="grid gap-3">
+      <div className="flex items-center justify-between gap-2">
+        <Chip onClick={() => setMonth(new Date(y, m - 1, 1))} className="bg-black/10" label="Previous month">
+          ←
+        </Chip>
+        <h4 className="font-semibold">{month.toLocaleDateString(undefined, { month: "long", year: "numeric" })}</h4>
+        <Chip onClick={() => setMonth(new Date(y, m + 1, 1))} className="bg-black/10" label="Next month">
+          →
+        </Chip>
+      </div>
+      <div className="grid grid-cols-7 gap-1 text-xs">
+        {WEEKDAYS.map((d) => (
+          <div key={d} className="text-center opacity-60">
+            {d}
+          </div>
+        ))}
+        {days.map((d) => {
+          const day = localDate(d.getTime());
+          return (
+            <div
+              key={day}
+              className={`min-h-16 p-1 rounded-lg ring-1 ${d.getMonth() === m ? "bg-white dark:bg-zinc-900" : "opacity-50"} ${day === today ? "ring-2 ring-fuchsia-400" : "ring-black/5 dark:ring-white/10"}`}
+            >
+              <button type="button" onClick={() => onPlanDay(day)} aria-label={`Plan a manicure on ${day}`} className="w-full text-left font-semibold opacity-70 hover:opacity-100">
+                {d.getDate()}
+              </button>
+              <div className="grid gap-0.5">
+                {(byDay.get(day) || []).map(({ kind, item }) =>
+                  kind === "mani" ? (
+                    <button key={item.id} type="button" onClick={() => onOpenMani(item.id)} className="truncate text-left rounded px-1 bg-fuchsia-100 text-fuchsia-900">
+                      💅 {item.title || "Untitled manicure"}
+                    </button>
+                  ) : (
+                    <button
+                      key={item.id}
+                      type="button"
+                      onClick={() => onOpenPlan(item.id)}
+                      className={`truncate text-left rounded px-1 bg-amber-100 text-amber-900 ${item.id === selectedId ? "ring-1 ring-amber-500" : ""}`}
+                    >
+                      🗓 {item.title || "Planned"}
+                    </button>
+                  )
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {upcoming.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <span className="opacity-70">Coming up:</span>
+          {upcoming.slice(0, 5).map((p) => (
+            <Chip key={p.id} onClick={() => onOpenPlan(p.id)} className="bg-amber-100 text-amber-900" label={`Open plan ${p.title || "Planned"} on ${p.date}`}>
+              {p.date} · {p.title || "Planned"}
+            </Chip>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A planned manicure: the day, what it's for and the bottles and tools set aside for it
+function PlanForm({ state, initial, onSubmit, onCancel, onDelete, onLog }) {
+  const [form, setForm] = useState(initial);
+  const saved = state.plans.some((p) => p.id === initial.id);
+  const empties = form.polishes.map((id) => state.polishes.find((p) => p.id === id)).filter((p) => p?.empty);
+  return (
+    <div className="grid gap-3">
+      <div className="grid sm:grid-cols-2 gap-3">
+        <Input label="Plan date" type="date" value={form.date} onChange={(e) => e.target.value && setForm({ ...form, date: e.target.value })} />
+        <Input label="Plan title" placeholder="e.g., Holiday party" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
+        <SelectMulti
+          label="Polishes to use"
+          options={state.polishes.map((p) => ({ value: p.id, label: `${polishTitle(p)}${p.empty ? " (empty)" : ""}` }))}
+          values={form.polishes}
+          onChange={(vals) => setForm({ ...form, polishes: vals })}
+        />
+        <SelectMulti label="Tools to use" options={state.tools.map((t) => ({ value: t.id, label: toolTitle(t) }))} values={form.tools} onChange={(vals) => setForm({ ...form, tools: vals })} />
+        <div className="sm:col-span-2"><Textarea label="Plan notes" rows={2} value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} /></div>
+      </div>
+      {empties.length > 0 && (
+        <div role="alert" className="text-sm text-amber-800 dark:text-amber-300">
+          Marked empty: {empties.map(polishTitle).join(", ")}. Swap or restock before the day.
+        </div>
+      )}
+      <div className="flex flex-wrap justify-end gap-2">
+        {saved && <ToolbarButton label="Delete plan" onClick={() => window.confirm(`Delete the plan “${initial.title || initial.date}”? You can undo this right after.`) && onDelete()} className="bg-rose-100 text-rose-800" />}
+        <ToolbarButton label="Cancel" onClick={onCancel} className="bg-black/10" />
+        {saved && <ToolbarButton label="Log as done" onClick={() => onLog(form)} className="bg-indigo-100 text-indigo-800" />}
+        <ToolbarButton label="Save plan" onClick={() => onSubmit(form)} className="bg-emerald-100 text-emerald-900" />
+      </div>
+    </div>
+  );
+}
+
+// A random colour and top coat from bottles that aren't empty
+function Randomizer({ state, onStart, onPlan }) {
+  const [filters, setFilters] = useState({ finish: null, tag: null, wall: null, untried: false });
+  const [result, setResult] = useState(null);
+  const usage = useMemo(() => polishUsage(state.manis), [state.manis]);
+  const tags = useMemo(() => [...new Set(state.polishes.flatMap((p) => p.tags || []))].sort(), [state.polishes]);
+  const set = (patch) => {
+    setFilters((f) => ({ ...f, ...patch }));
+    setResult(null);
+  };
+  const roll = () => setResult(randomSet(state.polishes, { manis: state.manis, usage, ...filters }));
+  const picked = result ? [result.color, result.top].filter(Boolean) : [];
+  const line = (label, p) => (
+    <div className="flex items-center gap-2">
+      <span className="opacity-70 w-20">{label}</span>
+      <ColorSwatch hex={p.colorHex} finish={p.finish} />
+      <span className="font-medium">{polishTitle(p)}</span>
+      {slotKey(p) && <span className="text-xs opacity-70">{slotLabel(state.settings, p)}</span>}
+    </div>
+  );
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+  return (
+    <Section title="Randomize" subtitle="Can't decide? Pick a colour and a top coat at random. Bottles marked empty are skipped.">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <Select label="Colour finish" options={FINISHES} value={filters.finish} onChange={(v) => set({ finish: v })} />
+        <Select label="Colour tag" options={tags} value={filters.tag} onChange={(v) => set({ tag: v })} />
+        <Select label="Colour on wall" options={state.settings.walls.map((w) => ({ value: w.id, label: w.label }))} value={filters.wall} onChange={(v) => set({ wall: v })} />
+        <label className="flex items-center gap-2 text-sm self-end pb-2">
+          <input type="checkbox" checked={filters.untried} onChange={(e) => set({ untried: e.target.checked })} />
+          Only untried colours
+        </label>
+      </div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <ToolbarButton label={result ? "Roll again" : "Randomize"} onClick={roll} className="bg-fuchsia-100 text-fuchsia-800" />
+        {result?.color && (
+          <>
+            <ToolbarButton label="Start this manicure" onClick={() => onStart(result)} className="bg-emerald-100 text-emerald-900" />
+            <ToolbarButton label="Plan it" onClick={() => onPlan(picked.map((p) => p.id))} className="bg-amber-100 text-amber-900" />
+          </>
+        )}
+      </div>
+      {result && (
+        <div role="status" className="mt-3 grid gap-1 text-sm">
+          {result.color ? line("Colour", result.color) : <div>No bottle that isn't empty matches these filters.</div>}
+          {result.color && (result.top ? line("Top coat", result.top) : <div>No top coat found. Name or tag one “top coat”, or use it as a Top layer.</div>)}
+          <div className="text-xs opacity-70">
+            Picked from {plural(result.colors, "colour")} and {plural(result.tops, "top coat")}
+            {result.empty ? `; ${plural(result.empty, "empty bottle")} skipped` : ""}.
           </div>
         </div>
-        <div className="mt-3 flex justify-end"><ToolbarButton label="Save manicure" onClick={save} className="bg-emerald-100 text-emerald-900" /></div>
+      )}
+    </Section>
+  );
+}
+
+const SHOP_LIMIT = 8;
+
+// Bottles that haven't been worn in a while, to pick the next manicure from
+function ShopYourStash({ state, onStart }) {
+  const [open, setOpen] = useState(false);
+  const [finish, setFinish] = useState(null);
+  const [season, setSeason] = useState(null);
+  const neglected = useMemo(
+    () => neglectedPolishes(state.polishes, polishUsage(state.manis), { finish, season }),
+    [state.polishes, state.manis, finish, season]
+  );
+  const idle = ({ usage, idleDays }) => {
+    const ago = idleDays == null ? "" : ` ${formatDays(idleDays)} ago`;
+    return usage ? `last worn${ago || " a while ago"}` : `never worn${ago && ` · added${ago}`}`;
+  };
+  return (
+    <Section
+      title="Shop your stash"
+      subtitle={`${neglected.length} bottle${neglected.length === 1 ? "" : "s"} you haven't worn yet, or not for two months`}
+      right={
+        <Chip onClick={() => setOpen((v) => !v)} className="bg-black/10">
+          {open ? "Hide" : "Show"}
+        </Chip>
+      }
+    >
+      {open && (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+            <Select label="Finish" options={FINISHES} value={finish} onChange={setFinish} />
+            <Select label="Season" options={SEASONS} value={season} onChange={setSeason} />
+          </div>
+          {!neglected.length ? (
+            <div className="text-sm opacity-70">{finish || season ? "Nothing neglected matches these filters." : "You've worn everything lately. Nice!"}</div>
+          ) : (
+            <ul aria-label="Neglected bottles" className="grid sm:grid-cols-2 gap-2">
+              {neglected.slice(0, SHOP_LIMIT).map((n) => (
+                <li key={n.polish.id} className="flex items-center gap-2 p-2 rounded-xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10">
+                  <ColorSwatch hex={n.polish.colorHex} finish={n.polish.finish} />
+                  <div className="min-w-0 flex-1">
+                    <div className="text-sm font-medium truncate">{polishTitle(n.polish)}</div>
+                    <div className="text-xs opacity-70">
+                      {idle(n)}
+                      {slotKey(n.polish) ? ` · ${slotLabel(state.settings, n.polish)}` : ""}
+                    </div>
+                  </div>
+                  <Chip onClick={() => onStart(n.polish.id)} className="bg-fuchsia-100 text-fuchsia-800" label={`Start a manicure with ${polishTitle(n.polish)}`}>
+                    Start a manicure
+                  </Chip>
+                </li>
+              ))}
+            </ul>
+          )}
+          {neglected.length > SHOP_LIMIT && <div className="mt-2 text-xs opacity-70">…and {neglected.length - SHOP_LIMIT} more. Search untried:true or used:0 in Inventory for the full list.</div>}
+        </>
+      )}
+    </Section>
+  );
+}
+
+function ManicuresView({ state, dispatch, onOpen }) {
+  // remounts the log form after each save
+  const [formKey, setFormKey] = useState(0);
+  // { initial, planId } the log form starts from: a bottle from Shop your stash, a random
+  // pick or a plan being logged as done
+  const [draft, setDraft] = useState(null);
+  // plan open in the planner, saved or not
+  const [planning, setPlanning] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const open = state.manis.find((m) => m.id === openId);
+  const fromPlan = draft?.planId && state.plans.find((p) => p.id === draft.planId);
+
+  const startDraft = (initial, planId = null) => {
+    setDraft(initial && { initial, planId });
+    setFormKey((k) => k + 1);
+  };
+  const coat = (kind, p) => p && { ...newLayer(kind), polishId: p.id };
+
+  return (
+    <div className="grid gap-4">
+      {open && !editing && (
+        <ManiDetail
+          state={state}
+          mani={open}
+          onOpen={onOpen}
+          onEdit={() => setEditing(true)}
+          onDelete={() => {
+            dispatch({ type: "mani/delete", id: open.id });
+            setOpenId(null);
+          }}
+          onClose={() => setOpenId(null)}
+          onEvents={(events) => dispatch({ type: "mani/update", payload: { id: open.id, events } })}
+        />
+      )}
+      {open && editing && (
+        <Section title="Edit manicure">
+          <ManiForm
+            key={open.id}
+            state={state}
+            initial={open}
+            onCancel={() => setEditing(false)}
+            onSubmit={(obj) => {
+              dispatch({ type: "mani/update", payload: obj });
+              setEditing(false);
+            }}
+          />
+        </Section>
+      )}
+
+      <Section title="Planner" subtitle="Past manicures and planned ones. Tap a day to plan a set for it.">
+        <ManiCalendar
+          state={state}
+          selectedId={planning?.id}
+          onOpenMani={(id) => {
+            setOpenId(id);
+            setEditing(false);
+          }}
+          onOpenPlan={(id) => setPlanning(state.plans.find((p) => p.id === id))}
+          onPlanDay={(day) => setPlanning(blankPlan(day))}
+        />
+        {planning && (
+          <div className="mt-4">
+            <PlanForm
+              key={planning.id}
+              state={state}
+              initial={planning}
+              onCancel={() => setPlanning(null)}
+              onSubmit={(plan) => {
+                const saved = state.plans.some((p) => p.id === plan.id);
+                dispatch({ type: saved ? "plan/update" : "plan/add", payload: plan });
+                setPlanning(null);
+              }}
+              onDelete={() => {
+                dispatch({ type: "plan/delete", id: planning.id });
+                setPlanning(null);
+              }}
+              onLog={(plan) => {
+                startDraft({ title: plan.title, notes: plan.notes, polishes: plan.polishes, tools: plan.tools }, plan.id);
+                setPlanning(null);
+              }}
+            />
+          </div>
+        )}
+      </Section>
+
+      <ShopYourStash state={state} onStart={(id) => startDraft({ polishes: [id], layers: [coat("color", { id })] })} />
+
+      <Randomizer
+        state={state}
+        onStart={({ color, top }) => startDraft({ polishes: [color, top].filter(Boolean).map((p) => p.id), layers: [coat("color", color), coat("top", top)].filter(Boolean) })}
+        onPlan={(ids) => setPlanning({ ...blankPlan(localDate(Date.now())), polishes: ids })}
+      />
+
+      <Section
+        title="Log a manicure"
+        subtitle={fromPlan ? `From your plan “${fromPlan.title || fromPlan.date}”. Saving it takes the plan off the calendar.` : "Select polishes/tools, build up the layers, and upload a final photo"}
+      >
+        <ManiForm
+          key={formKey}
+          state={state}
+          initial={draft?.initial}
+          onCancel={draft ? () => startDraft(null) : undefined}
+          onSubmit={(obj) => {
+            if (fromPlan) {
+              dispatch({
+                type: "batch",
+                label: `Logged the plan “${fromPlan.title || fromPlan.date}”`,
+                actions: [{ type: "mani/add", payload: obj }, { type: "plan/delete", id: fromPlan.id }],
+              });
+            } else dispatch({ type: "mani/add", payload: obj });
+            startDraft(null);
+          }}
+        />
       </Section>
 
       <Section title="History">
         <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-3">
           {state.manis.map((m) => (
-            <div key={m.id} className="p-4 rounded-2xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10">
+            <div key={m.id} className={`p-4 rounded-2xl bg-white dark:bg-zinc-900 ring-1 ${m.id === openId ? "ring-2 ring-fuchsia-400" : "ring-black/5 dark:ring-white/10"}`}>
               <div className="flex items-start gap-3">
-                <img src={m.image || placeholderFromHex("#fbcfe8")} alt="mani" className="w-20 h-20 object-cover rounded-xl border" />
+                <StoredImage imageId={m.imageId} fallback={m.image || placeholderFromHex("#fbcfe8")} alt="mani" className="w-20 h-20 object-cover rounded-xl border" />
                 <div className="min-w-0 flex-1">
-                  <div className="font-semibold truncate">{m.title || "Untitled manicure"}</div>
-                  <div className="text-xs opacity-70">{m.date} · ⭐ {m.rating}/5 · {m.wearDays} days</div>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setOpenId(m.id);
+                      setEditing(false);
+                    }}
+                    className="font-semibold truncate block max-w-full text-left hover:underline"
+                  >
+                    {m.title || "Untitled manicure"}
+                  </button>
+                  <div className="text-xs opacity-70">{m.date} · ⭐ {m.rating}/5 · {wearText(wearSummary(m))}</div>
                   <div className="mt-1 text-xs opacity-80 line-clamp-2">{m.notes}</div>
                 </div>
               </div>
-              <div className="mt-2 text-xs">
-                <div className="opacity-70">Polishes:</div>
-                <div className="flex flex-wrap gap-1 mt-1">
-                  {m.polishes.map((pid) => {
-                    const p = state.polishes.find((x) => x.id === pid);
-                    return p ? <Pill key={pid}>{(p.brand || "—").slice(0, 10)} · {p.name}</Pill> : null;
-                  })}
+              {NAIL_GROUPS[0].nails.some((n) => nailPolish(state, m, n.id)) && (
+                <div className="mt-2">
+                  <NailMap state={state} mani={m} small />
                 </div>
+              )}
+              <div className="mt-2 text-xs">
+                <ManiLinks state={state} mani={m} onOpen={onOpen} />
               </div>
             </div>
           ))}
@@ -1034,6 +3770,93 @@ function ManicuresView({ state, dispatch }) {
   );
 }
 
+/* ---------- Dupe Finder ---------- */
+function DupeRow({ polish, settings, deltaE }) {
+  return (
+    <li className="flex items-center gap-3 py-2">
+      <ColorSwatch hex={polish.colorHex} finish={polish.finish} />
+      <div className="flex-1 min-w-0">
+        <div className="font-medium truncate">{polishTitle(polish)}</div>
+        <div className="text-xs opacity-70">
+          {polish.finish || "no finish"} · {slotKey(polish) ? slotLabel(settings, polish) : "Unplaced"}
+        </div>
+      </div>
+      {deltaE != null && (
+        <div className="text-right text-xs">
+          <div className="font-semibold">{describeDeltaE(deltaE)}</div>
+          <div className="opacity-70">ΔE {deltaE.toFixed(1)}</div>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// Before buying: is there something nearly identical on the wall already?
+function DupeFinder({ state }) {
+  const { polishes, settings } = state;
+  const [source, setSource] = useState("hex");
+  const [hex, setHex] = useState("#f472b6");
+  const [finish, setFinish] = useState(null);
+  const [polishId, setPolishId] = useState(null);
+  const picked = polishes.find((p) => p.id === polishId);
+  const target = source === "polish" ? picked : { colorHex: hex, finish };
+  const matches = target ? rankDupes(target, polishes) : [];
+  const clusters = useMemo(() => findDupeClusters(polishes), [polishes]);
+  return (
+    <div className="grid gap-4">
+      <Section title="Check a shade" subtitle="The closest bottles you own, by how alike they look (CIEDE2000) and their finish.">
+        <div className="grid sm:grid-cols-3 gap-3 items-end">
+          <Select label="Compare" allowEmpty={false} options={[{ value: "hex", label: "A colour I type in" }, { value: "polish", label: "A polish I own" }]} value={source} onChange={setSource} />
+          {source === "hex" ? (
+            <>
+              <label className="grid text-sm gap-1">
+                <span className="opacity-80">Colour</span>
+                <div className="flex gap-2 items-center">
+                  <input type="color" value={/^#[0-9a-f]{6}$/i.test(hex) ? hex : "#cccccc"} onChange={(e) => setHex(e.target.value)} className="w-12 h-10 p-0 rounded-lg border border-black/10" title="Pick color" />
+                  <input aria-label="Hex colour" value={hex} onChange={(e) => setHex(e.target.value)} className="flex-1 min-w-0 px-3 py-2 rounded-xl border border-black/10 dark:border-white/10 bg-white dark:bg-zinc-900" placeholder="#RRGGBB" />
+                </div>
+              </label>
+              <Select label="Finish" options={FINISHES} value={finish} onChange={setFinish} />
+            </>
+          ) : (
+            <div className="sm:col-span-2">
+              <Select label="Polish" options={polishes.map((p) => ({ value: p.id, label: polishTitle(p) }))} value={polishId} onChange={setPolishId} />
+            </div>
+          )}
+        </div>
+        {target && !matches.length && <div className="text-sm opacity-70 mt-3">No bottles with a readable colour to compare against.</div>}
+        {matches.length > 0 && (
+          <ul aria-label="Closest matches" className="mt-3 divide-y divide-black/5 dark:divide-white/10">
+            {matches.map((m) => (
+              <DupeRow key={m.polish.id} polish={m.polish} settings={settings} deltaE={m.deltaE} />
+            ))}
+          </ul>
+        )}
+      </Section>
+      <Section title="Likely duplicates" subtitle="Bottles in your stash that look almost the same as each other.">
+        {!clusters.length ? (
+          <div className="text-sm opacity-70">No likely duplicates found.</div>
+        ) : (
+          <div className="grid gap-3">
+            {clusters.map((c) => (
+              <div key={c.polishes.map((p) => p.id).join()} className="rounded-xl border border-black/10 dark:border-white/10 px-3">
+                <div className="pt-2 text-xs opacity-70">
+                  {c.polishes.length} bottles · up to ΔE {c.maxDeltaE.toFixed(1)} apart
+                </div>
+                <ul className="divide-y divide-black/5 dark:divide-white/10">
+                  {c.polishes.map((p) => (
+                    <DupeRow key={p.id} polish={p} settings={settings} />
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </Section>
+    </div>
+  );
+}
+
 /* ---------- Stats ---------- */
 function countBy(arr, keyFn) {
   const map = {};
@@ -1068,19 +3891,67 @@ function StatCard({ label, value, sub }) {
   );
 }
 
+// Which base/top pairs and brands last, from manicures logged through to removal
+function LongevityStats({ state }) {
+  const [sort, setSort] = useState("wear");
+  const { combos, brands } = useMemo(() => longevityStats(state.manis, state.polishes, { sort }), [state.manis, state.polishes, sort]);
+  const table = (label, rows) => (
+    <table className="w-full text-left text-sm tabular-nums">
+      <thead className="opacity-60 text-xs">
+        <tr>
+          <th className="font-medium py-1">{label}</th>
+          <th className="font-medium">Manicures</th>
+          <th className="font-medium">Avg wear</th>
+          <th className="font-medium">Avg to first chip</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.key} className="border-t border-black/5 dark:border-white/10">
+            <td className="py-1">{r.label}</td>
+            <td>{r.count}</td>
+            <td>{formatDays(r.avgWear)}</td>
+            <td>
+              {formatDays(r.avgChip)}
+              {r.chipped < r.count && <span className="opacity-60"> ({r.count - r.chipped} never chipped)</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+  return (
+    <Section
+      title="Longevity"
+      subtitle="From manicures logged as removed. One that never chipped counts its whole wear as its time to first chip."
+      right={<Select label="Rank by" allowEmpty={false} value={sort} onChange={setSort} options={[{ value: "wear", label: "Average wear" }, { value: "chip", label: "Time to first chip" }]} />}
+    >
+      {!combos.length && !brands.length ? (
+        <div className="text-sm opacity-70">Log when manicures chip and come off to see what lasts.</div>
+      ) : (
+        <div className="grid gap-4">
+          {combos.length > 0 && table("Base + top coat", combos)}
+          {brands.length > 0 && table("Colour brand", brands)}
+        </div>
+      )}
+    </Section>
+  );
+}
+
 function StatsView({ state }) {
   const byBrand = useMemo(() => countBy(state.polishes, (p) => p.brand || "(unlabeled)"), [state.polishes]);
   const byFinish = useMemo(() => countBy(state.polishes, (p) => p.finish || "—"), [state.polishes]);
 
   const shelfFill = useMemo(() => {
-    const walls = state.settings.wallNames || defaultWallNames(state.settings.wallCount);
-    const map = Object.fromEntries(walls.map((w) => [w, Array(state.settings.shelvesPerWall).fill(0)]));
-    for (const p of state.polishes) if (p.wall && p.shelf && map[p.wall]) map[p.wall][p.shelf - 1]++;
+    const { walls } = state.settings;
+    const map = Object.fromEntries(walls.map((w) => [w.id, Array(w.shelves.length).fill(0)]));
+    // bottles on shelves that no longer exist aren't counted (the layout doctor lists them)
+    for (const p of state.polishes) if (slotKey(p) && !slotProblem(p, state.settings)) map[p.wall][p.shelf - 1]++;
     return map;
-  }, [state.polishes, state.settings.wallNames, state.settings.wallCount, state.settings.shelvesPerWall]);
+  }, [state.polishes, state.settings]);
 
-  const totalSlots = state.settings.slotsPerShelf * state.settings.shelvesPerWall * state.settings.wallCount;
-  const usedSlots = state.polishes.filter((p) => p.wall && p.shelf && p.position).length;
+  const totalSlots = listSlots(state.settings).length;
+  const usedSlots = state.polishes.filter((p) => slotKey(p) && !slotProblem(p, state.settings)).length;
 
   return (
     <div className="grid gap-4">
@@ -1092,14 +3963,15 @@ function StatsView({ state }) {
           <StatCard label="Shelf usage" value={`${usedSlots}/${totalSlots}`} sub={`${Math.round((usedSlots / totalSlots) * 100)}% filled`} />
         </div>
       </Section>
+      <LongevityStats state={state} />
       <Section title="By brand"><SimpleBar data={Object.entries(byBrand)} /></Section>
       <Section title="By finish"><SimpleBar data={Object.entries(byFinish)} /></Section>
       <Section title="Shelf fill by wall">
         <div className="grid sm:grid-cols-2 gap-3">
-          {(state.settings.wallNames || defaultWallNames(state.settings.wallCount)).map((w) => (
-            <div key={w} className="p-3 rounded-2xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10">
-              <div className="font-semibold mb-2">Wall {w}</div>
-              <SimpleBar data={shelfFill[w].map((c, i) => [`Shelf ${i + 1}`, c])} />
+          {state.settings.walls.map((w) => (
+            <div key={w.id} className="p-3 rounded-2xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10">
+              <div className="font-semibold mb-2">Wall {w.label}</div>
+              <SimpleBar data={shelfFill[w.id].map((c, i) => [shelfName(w, i), c])} />
             </div>
           ))}
         </div>
@@ -1108,10 +3980,354 @@ function StatsView({ state }) {
   );
 }
 
+/* ---------- Polish CSV ---------- */
+// Columns for export, and the header names recognised when importing
+const CSV_FIELDS = [
+  { key: "brand", label: "Brand", aliases: ["brand", "maker"] },
+  { key: "name", label: "Name", aliases: ["name", "polish", "shade name", "color name"] },
+  { key: "shadeCode", label: "Shade code", aliases: ["shade code", "code", "shade", "number", "sku"] },
+  { key: "barcode", label: "Barcode", aliases: ["barcode", "upc", "ean", "gtin"] },
+  { key: "colorHex", label: "Color (hex)", aliases: ["color hex", "hex", "color", "colour"] },
+  { key: "finish", label: "Finish", aliases: ["finish", "type"] },
+  { key: "collection", label: "Collection", aliases: ["collection", "line", "series"] },
+  { key: "tags", label: "Tags", aliases: ["tags", "labels"] },
+  { key: "wall", label: "Wall", aliases: ["wall", "rack"] },
+  { key: "shelf", label: "Shelf", aliases: ["shelf", "row"] },
+  { key: "position", label: "Position", aliases: ["position", "slot", "pos"] },
+];
+
+const FINISH_ALIASES = {
+  creme: "cream", crème: "cream", holo: "holographic", "linear holo": "holographic", "scattered holo": "holographic",
+  chrome: "metallic", foil: "metallic", frost: "shimmer", pearl: "shimmer", flakie: "flake", flakies: "flake",
+  magnet: "magnetic", "cat eye": "magnetic", "color changing": "thermal",
+};
+
+const headerKey = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function guessCsvMapping(headers) {
+  const mapping = {};
+  for (const f of CSV_FIELDS) {
+    const idx = headers.findIndex((h) => f.aliases.some((a) => headerKey(a) === headerKey(h)) || headerKey(h) === headerKey(f.key));
+    mapping[f.key] = idx >= 0 ? idx : null;
+  }
+  return mapping;
+}
+
+// -> { finish, known }; anything unrecognised becomes "other"
+function normalizeFinish(raw) {
+  const v = String(raw || "").trim().toLowerCase();
+  if (!v) return { finish: "other", known: true };
+  if (FINISHES.includes(v)) return { finish: v, known: true };
+  if (FINISH_ALIASES[v]) return { finish: FINISH_ALIASES[v], known: true };
+  if (v.endsWith("s") && FINISHES.includes(v.slice(0, -1))) return { finish: v.slice(0, -1), known: true };
+  const word = FINISHES.find((f) => f !== "other" && v.includes(f)) || Object.keys(FINISH_ALIASES).find((a) => v.includes(a));
+  if (word) return { finish: FINISH_ALIASES[word] || word, known: true };
+  return { finish: "other", known: false };
+}
+
+function normalizeHex(raw) {
+  const v = String(raw || "").trim().replace(/^#/, "").toLowerCase();
+  if (/^[0-9a-f]{6}$/.test(v)) return `#${v}`;
+  if (/^[0-9a-f]{3}$/.test(v)) return `#${v.split("").map((c) => c + c).join("")}`;
+  return null;
+}
+
+const polishDupeKey = (brand, name) => `${String(brand || "").trim().toLowerCase()}|${String(name || "").trim().toLowerCase()}`;
+
+// Dry run: what each CSV row would become, without touching state
+function planCsvImport(rows, mapping, state) {
+  const { walls } = state.settings;
+  const owned = new Map();
+  for (const p of state.polishes) {
+    if (gtinKey(p.barcode)) owned.set(`b:${gtinKey(p.barcode)}`, `${p.brand || "—"} · ${p.name}`);
+    owned.set(`n:${polishDupeKey(p.brand, p.name)}`, `${p.brand || "—"} · ${p.name}`);
+  }
+  const inFile = new Map();
+  const slotsTaken = new Set(state.polishes.map(slotKey).filter(Boolean));
+  return rows.map((cells, i) => {
+    const line = i + 2; // after the header row
+    const get = (key) => (mapping[key] == null ? "" : String(cells[mapping[key]] ?? "").trim());
+    const name = get("name");
+    if (!name) return { line, status: "skip", warnings: ["No name"] };
+    const warnings = [];
+    const { finish, known } = normalizeFinish(get("finish"));
+    if (!known) warnings.push(`Finish "${get("finish")}" → other`);
+    const colorHex = normalizeHex(get("colorHex"));
+    if (get("colorHex") && !colorHex) warnings.push(`Color "${get("colorHex")}" is not a hex code`);
+    const barcode = get("barcode").replace(/\D/g, "");
+    const wallRaw = get("wall");
+    // by label, as exported; ids are accepted too
+    const match = (w) => w.label.toLowerCase() === wallRaw.toLowerCase();
+    const wall = (walls.find(match) || walls.find((w) => w.id === wallRaw))?.id || null;
+    if (wallRaw && !wall) warnings.push(`No wall "${wallRaw}" — left unplaced`);
+    const num = (key, max) => {
+      const raw = get(key);
+      const n = Number(raw);
+      if (!raw) return null;
+      if (Number.isInteger(n) && n >= 1 && n <= max) return n;
+      warnings.push(`${key} "${raw}" is outside 1–${max}`);
+      return null;
+    };
+    const shelf = wall ? num("shelf", shelfCount(state.settings, wall)) : null;
+    const position = wall && shelf ? num("position", slotCount(state.settings, wall, shelf)) : null;
+    let slot = wall && shelf && position ? { wall, shelf, position } : UNPLACED;
+    if (wall && !slotKey(slot)) warnings.push("Needs both shelf and position — left unplaced");
+    if (slotKey(slot) && slotsTaken.has(slotKey(slot))) {
+      warnings.push(`${slotLabel(state.settings, slot)} is taken — left unplaced`);
+      slot = UNPLACED;
+    }
+    if (slotKey(slot)) slotsTaken.add(slotKey(slot));
+    const polish = {
+      id: uid(),
+      brand: get("brand"),
+      name,
+      shadeCode: get("shadeCode"),
+      barcode,
+      colorHex: colorHex || "#f472b6",
+      finish,
+      collection: get("collection"),
+      tags: [...new Set(get("tags").split(/[;,|]/).map((t) => t.trim()).filter(Boolean))],
+      notes: "",
+      imageId: null,
+      ...slot,
+      addedAt: Date.now(),
+    };
+    const keys = [gtinKey(barcode) && `b:${gtinKey(barcode)}`, `n:${polishDupeKey(polish.brand, name)}`].filter(Boolean);
+    const ownedAs = keys.map((k) => owned.get(k)).find(Boolean);
+    const fileLine = keys.map((k) => inFile.get(k)).find(Boolean);
+    keys.forEach((k) => !inFile.has(k) && inFile.set(k, line));
+    if (ownedAs) return { line, status: "duplicate", polish, warnings, duplicateOf: `already own ${ownedAs}` };
+    if (fileLine) return { line, status: "duplicate", polish, warnings, duplicateOf: `same as line ${fileLine}` };
+    return { line, status: "new", polish, warnings };
+  });
+}
+
+function PolishCsvSection({ state, dispatch }) {
+  // { fileName, headers, rows } once a file is read
+  const [csv, setCsv] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [step, setStep] = useState("map");
+  const [includeDupes, setIncludeDupes] = useState(false);
+  const [message, setMessage] = useState(null);
+  const plan = useMemo(
+    () => (csv && step === "preview" ? planCsvImport(csv.rows, mapping, state) : null),
+    [csv, step, mapping, state]
+  );
+
+  const exportCsv = () => {
+    const cell = (p, key) => (key === "tags" ? (p.tags || []).join("; ") : key === "wall" && p.wall ? wallLabel(state.settings, p.wall) : p[key] ?? "");
+    const rows = state.polishes.map((p) => CSV_FIELDS.map((f) => cell(p, f.key)));
+    const blob = new Blob([toCsv([CSV_FIELDS.map((f) => f.key), ...rows])], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `nailvault-polishes-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setMessage(null);
+    const [headers = [], ...rows] = parseCsv(await file.text());
+    if (!rows.length) {
+      setCsv(null);
+      setMessage(`${file.name} has no rows below its header.`);
+      return;
+    }
+    setCsv({ fileName: file.name, headers, rows });
+    setMapping(guessCsvMapping(headers));
+    setStep("map");
+    setIncludeDupes(false);
+  };
+
+  const confirm = () => {
+    const chosen = plan.filter((r) => r.status === "new" || (includeDupes && r.status === "duplicate"));
+    // polish/add prepends, so add from the bottom up to keep the file's order; one batch
+    // so a single undo takes the whole import back
+    const actions = [...chosen].reverse().map((r) => ({ type: "polish/add", payload: r.polish }));
+    dispatch({ type: "batch", actions, label: `Imported ${chosen.length} polishes from CSV` });
+    setMessage(`Added ${chosen.length} polish${chosen.length === 1 ? "" : "es"} from ${csv.fileName}.`);
+    setCsv(null);
+  };
+
+  const counts = plan ? countBy(plan, (r) => r.status) : {};
+
+  return (
+    <Section title="Polishes CSV" subtitle="Spreadsheet export, and bulk import with a preview">
+      <div className="flex flex-wrap items-center gap-3">
+        <ToolbarButton label="Export CSV" onClick={exportCsv} className="bg-indigo-100 text-indigo-800" />
+        <label className="px-3 py-2 rounded-xl bg-emerald-100 text-emerald-900 font-semibold shadow-sm cursor-pointer text-sm">
+          Import CSV
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => {
+              readFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {message && <div role="status" className="mt-3 text-sm opacity-80">{message}</div>}
+
+      {csv && step === "map" && (
+        <div className="mt-3 grid gap-3">
+          <div className="text-sm opacity-80">
+            Match the columns in <strong>{csv.fileName}</strong> ({csv.rows.length} rows) to polish fields.
+          </div>
+          <div className="grid sm:grid-cols-3 lg:grid-cols-4 gap-3">
+            {CSV_FIELDS.map((f) => (
+              <label key={f.key} className="grid text-sm gap-1">
+                <span className="opacity-80">{f.label}</span>
+                <select
+                  value={mapping[f.key] ?? ""}
+                  onChange={(e) => setMapping({ ...mapping, [f.key]: e.target.value === "" ? null : Number(e.target.value) })}
+                  className="px-3 py-2 rounded-xl border border-black/10 dark:border-white/10 bg-white dark:bg-zinc-900"
+                >
+                  <option value="">— not in file —</option>
+                  {csv.headers.map((h, i) => (
+                    <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end gap-2">
+            <ToolbarButton label="Cancel" onClick={() => setCsv(null)} className="bg-black/10" />
+            <ToolbarButton
+              label="Preview import"
+              onClick={() => (mapping.name == null ? setMessage("Pick the column that holds polish names.") : setStep("preview"))}
+              className="bg-emerald-100 text-emerald-900"
+            />
+          </div>
+        </div>
+      )}
+
+      {plan && (
+        <div className="mt-3 grid gap-3">
+          <div className="flex flex-wrap gap-2 text-sm">
+            <Pill>{counts.new || 0} new</Pill>
+            <Pill>{counts.duplicate || 0} duplicates</Pill>
+            <Pill>{counts.skip || 0} skipped</Pill>
+            <Pill>{plan.filter((r) => r.warnings.length && r.status !== "skip").length} with warnings</Pill>
+          </div>
+          <div className="max-h-80 overflow-auto rounded-xl ring-1 ring-black/5 dark:ring-white/10">
+            <table className="w-full text-xs text-left">
+              <thead className="sticky top-0 bg-white dark:bg-zinc-900 opacity-90">
+                <tr>
+                  <th className="p-2 font-medium">Line</th>
+                  <th className="p-2 font-medium">Result</th>
+                  <th className="p-2 font-medium">Polish</th>
+                  <th className="p-2 font-medium">Finish</th>
+                  <th className="p-2 font-medium">Location</th>
+                  <th className="p-2 font-medium">Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.map((r) => (
+                  <tr key={r.line} className="border-t border-black/5 dark:border-white/10 align-top">
+                    <td className="p-2 tabular-nums">{r.line}</td>
+                    <td className="p-2">{r.status === "new" ? "Add" : r.status === "duplicate" ? "Duplicate" : "Skip"}</td>
+                    <td className="p-2">
+                      {r.polish && (
+                        <span className="inline-flex items-center gap-2">
+                          <ColorSwatch hex={r.polish.colorHex} finish={r.polish.finish} />
+                          {r.polish.brand || "—"} · {r.polish.name}
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-2">{r.polish?.finish}</td>
+                    <td className="p-2">{r.polish?.wall ? slotLabel(state.settings, r.polish) : "—"}</td>
+                    <td className="p-2 opacity-80">{[r.duplicateOf, ...r.warnings].filter(Boolean).join(" · ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={includeDupes} onChange={(e) => setIncludeDupes(e.target.checked)} />
+            Add duplicates too
+          </label>
+          <div className="flex justify-end gap-2">
+            <ToolbarButton label="Back to columns" onClick={() => setStep("map")} className="bg-black/10" />
+            <ToolbarButton
+              label={`Add ${(counts.new || 0) + (includeDupes ? counts.duplicate || 0 : 0)} polishes`}
+              onClick={confirm}
+              className="bg-emerald-100 text-emerald-900"
+            />
+          </div>
+        </div>
+      )}
+    </Section>
+  );
+}
+
 /* ---------- Backup ---------- */
+const entityLabel = (kind, e) => {
+  if (kind === "polishes") return `${e?.brand || "—"} · ${e?.name || ""}`;
+  if (kind === "tools") return e?.name || "Tool";
+  if (kind === "smartCollections") return `smart collection “${e?.name || "Untitled"}”`;
+  if (kind === "plans") return `plan “${e?.title || e?.date || "Untitled"}”`;
+  return e?.title || e?.date || "Manicure";
+};
+
+const formatFieldValue = (v) => {
+  if (v == null || v === "") return "—";
+  const s = Array.isArray(v) ? v.map((x) => (typeof x === "object" ? JSON.stringify(x) : x)).join(", ") : typeof v === "object" ? JSON.stringify(v) : String(v);
+  return s.length > 60 ? `${s.slice(0, 60)}…` : s;
+};
+
+function ConflictsPanel({ state, dispatch }) {
+  const conflicts = state.conflicts || [];
+  if (!conflicts.length) return null;
+  return (
+    <Section title="Conflicts" subtitle="Edited on two devices at once — the newest edit was kept; pick the version you want">
+      <div className="grid gap-3">
+        {conflicts.map((c) => {
+          const current = (state[c.kind] || []).find((x) => x.id === c.entityId);
+          return (
+            <div key={c.id} className="p-3 rounded-2xl bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10 grid gap-2">
+              <div className="font-semibold truncate">{entityLabel(c.kind, current || c.mine)}</div>
+              <div className="grid grid-cols-[auto_1fr_1fr] gap-x-3 gap-y-1 text-xs">
+                <span className="opacity-60">Field</span>
+                <span className="opacity-60">This device</span>
+                <span className="opacity-60">Other device</span>
+                {c.fields.map((f) => (
+                  <React.Fragment key={f}>
+                    <span className="font-medium">{f}</span>
+                    <span className="break-all">{formatFieldValue(c.mine?.[f])}</span>
+                    <span className="break-all">{formatFieldValue(c.theirs?.[f])}</span>
+                  </React.Fragment>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <ToolbarButton label="Keep this device's" onClick={() => dispatch({ type: "conflict/resolve", id: c.id, pick: "mine" })} className="bg-indigo-100 text-indigo-800" />
+                <ToolbarButton label="Keep other device's" onClick={() => dispatch({ type: "conflict/resolve", id: c.id, pick: "theirs" })} className="bg-fuchsia-100 text-fuchsia-800" />
+                <ToolbarButton label="Keep as merged" onClick={() => dispatch({ type: "conflict/dismiss", id: c.id })} className="bg-black/10" />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </Section>
+  );
+}
+
 function BackupView({ state, dispatch }) {
-  const exportData = () => {
-    const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
+  const { images } = useStorage();
+  // photos are not part of the state, so the backup carries them as data URLs
+  const exportData = async () => {
+    const photos = [];
+    for (const name of SYNCED_COLLECTIONS) {
+      for (const e of state[name]) {
+        const rec = e.imageId && (await images.get("images", e.imageId).catch(() => null));
+        if (rec?.blob) photos.push({ id: rec.id, dataUrl: await blobToDataUrl(rec.blob), thumbDataUrl: rec.thumb ? await blobToDataUrl(rec.thumb) : null });
+      }
+    }
+    const blob = new Blob([JSON.stringify({ ...state, images: photos }, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -1119,16 +4335,58 @@ function BackupView({ state, dispatch }) {
     a.click();
     URL.revokeObjectURL(url);
   };
+  const [importReport, setImportReport] = useState(null);
+  // parsed, validated backup waiting for the user to choose how to apply it
+  const [pending, setPending] = useState(null);
+  const [importDone, setImportDone] = useState(null);
   const importData = async (file) => {
     if (!file) return;
+    setImportReport(null);
+    setImportDone(null);
+    setPending(null);
+    let parsed;
     try {
-      const parsed = JSON.parse(await file.text());
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(parsed));
-      window.location.reload();
+      parsed = JSON.parse(await file.text());
     } catch (e) {
-      alert("Invalid backup file");
+      setImportReport({ fileName: file.name, errors: [`The file is not valid JSON (${e.message}).`] });
+      return;
+    }
+    // photos ride along next to the state (see exportData)
+    const isObject = parsed && typeof parsed === "object" && !Array.isArray(parsed);
+    const { images: photos = [], ...rest } = isObject ? parsed : {};
+    const { state: migrated, errors } = migrateState(isObject ? rest : parsed);
+    if (errors.length) {
+      setImportReport({ fileName: file.name, errors });
+      return;
+    }
+    setPending({
+      fileName: file.name,
+      data: migrated,
+      photos: Array.isArray(photos) ? photos.filter((p) => typeof p?.dataUrl === "string") : [],
+      diff: diffImport(state, migrated),
+      mode: "merge",
+      useFileSync: false,
+    });
+  };
+  const applyPending = async () => {
+    const { fileName, data, photos, mode, useFileSync, diff } = pending;
+    try {
+      for (const photo of photos) {
+        await storeImage(images, dataUrlToBlob(photo.dataUrl), photo.id, { thumb: photo.thumbDataUrl ? dataUrlToBlob(photo.thumbDataUrl) : null });
+      }
+    } catch (e) {
+      setImportReport({ fileName, errors: [`The backup's photos could not be saved on this device (${e.message}).`] });
+      return;
     }
+    dispatch({ type: "import/apply", mode, data, useFileSync });
+    const total = (key) => SYNCED_COLLECTIONS.reduce((n, name) => n + diff[name][key], 0);
+    setImportDone(
+      `Imported ${fileName}: ${total("added")} new, ${total("changed")} updated` +
+        (mode === "replace" ? `, ${total("localOnly")} removed.` : ".")
+    );
+    setPending(null);
   };
+  const fileSyncKey = pending?.data.settings?.syncKey || "";
 
   return (
     <div className="grid gap-4">
@@ -1144,7 +4402,10 @@ function BackupView({ state, dispatch }) {
             <input
               type="file"
               accept="application/json"
-              onChange={(e) => importData(e.target.files?.[0])}
+              onChange={(e) => {
+                importData(e.target.files?.[0]);
+                e.target.value = "";
+              }}
               className="hidden"
             />
           </label>
@@ -1158,6 +4419,87 @@ function BackupView({ state, dispatch }) {
           />
         </div>
 
+        {importDone && (
+          <div role="status" className="mt-3 rounded-2xl p-3 bg-emerald-100 text-emerald-900 ring-1 ring-emerald-300 text-sm flex items-start justify-between gap-3">
+            <span>{importDone}</span>
+            <Chip onClick={() => setImportDone(null)} className="bg-emerald-200">Dismiss</Chip>
+          </div>
+        )}
+
+        {pending && (
+          <div className="mt-3 rounded-2xl p-3 sm:p-4 bg-white dark:bg-zinc-900 ring-1 ring-black/5 dark:ring-white/10 grid gap-3 text-sm">
+            <div className="font-semibold">Import {pending.fileName}</div>
+            <table className="w-full text-left tabular-nums">
+              <thead className="opacity-60 text-xs">
+                <tr>
+                  <th className="font-medium py-1"></th>
+                  <th className="font-medium">New</th>
+                  <th className="font-medium">Changed</th>
+                  <th className="font-medium">Identical</th>
+                  <th className="font-medium">Only on this device</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[["polishes", "Polishes"], ["tools", "Tools"], ["manis", "Manicures"], ["smartCollections", "Smart collections"], ["plans", "Planned manicures"]].map(([name, label]) => (
+                  <tr key={name} className="border-t border-black/5 dark:border-white/10">
+                    <td className="py-1">{label}</td>
+                    <td>{pending.diff[name].added}</td>
+                    <td>{pending.diff[name].changed}</td>
+                    <td>{pending.diff[name].identical}</td>
+                    <td>{pending.diff[name].localOnly}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="grid gap-1">
+              <label className="flex items-start gap-2">
+                <input type="radio" name="import-mode" checked={pending.mode === "merge"} onChange={() => setPending({ ...pending, mode: "merge" })} />
+                <span>
+                  <strong>Merge by id</strong> — add new items and update changed ones; everything else here stays.
+                </span>
+              </label>
+              <label className="flex items-start gap-2">
+                <input type="radio" name="import-mode" checked={pending.mode === "replace"} onChange={() => setPending({ ...pending, mode: "replace" })} />
+                <span>
+                  <strong>Replace all</strong> — make this collection match the file, including its layout. Items only on this
+                  device are deleted (on every synced device too).
+                </span>
+              </label>
+              {fileSyncKey && fileSyncKey !== (state.settings.syncKey || "") && (
+                <label className="flex items-start gap-2 mt-1">
+                  <input type="checkbox" checked={pending.useFileSync} onChange={(e) => setPending({ ...pending, useFileSync: e.target.checked })} />
+                  <span>
+                    Switch this device to the file's household key <code>{fileSyncKey}</code> (currently{" "}
+                    {state.settings.syncKey ? <code>{state.settings.syncKey}</code> : "not syncing"})
+                  </span>
+                </label>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2 justify-end">
+              <ToolbarButton label="Cancel" onClick={() => setPending(null)} className="bg-black/10" />
+              <ToolbarButton
+                label={pending.mode === "replace" ? "Replace everything" : "Merge into my collection"}
+                onClick={applyPending}
+                className={pending.mode === "replace" ? "bg-rose-100 text-rose-800" : "bg-emerald-100 text-emerald-900"}
+              />
+            </div>
+          </div>
+        )}
+
+        {importReport && (
+          <div role="alert" className="mt-3 rounded-2xl p-3 bg-rose-100 text-rose-900 ring-1 ring-rose-300 text-sm grid gap-2">
+            <div className="flex items-start justify-between gap-3">
+              <strong>{importReport.fileName} was not imported. Nothing has been changed.</strong>
+              <Chip onClick={() => setImportReport(null)} className="bg-rose-200">Dismiss</Chip>
+            </div>
+            <ul className="list-disc ml-5">
+              {importReport.errors.map((e, i) => (
+                <li key={i}>{e}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Household key for multi-device sync */}
         <div className="mt-3 grid sm:grid-cols-3 gap-3">
           <Input
@@ -1176,12 +4518,33 @@ function BackupView({ state, dispatch }) {
             unique and private.
           </div>
         </div>
+
+        {/* Upload size for new photos */}
+        <div className="mt-3 grid sm:grid-cols-3 gap-3">
+          <Input
+            label="Max photo size (px, longest side)"
+            type="number"
+            min={320}
+            max={4096}
+            step={80}
+            value={state.settings.imageMaxDimension}
+            onChange={(e) => dispatch({ type: "settings/update", payload: { imageMaxDimension: Number(e.target.value || 0) } })}
+          />
+          <div className="sm:col-span-2 text-sm opacity-70">
+            New photos are resized to this size, turned upright and stripped of location data
+            before they are saved. Smaller sizes leave more room on the device.
+          </div>
+        </div>
       </Section>
 
+      <PolishCsvSection state={state} dispatch={dispatch} />
+
+      <ConflictsPanel state={state} dispatch={dispatch} />
+
       <Section title="Tips">
         <ul className="list-disc ml-6 text-sm opacity-80 grid gap-1">
           <li>
-            Everything you add saves to your device via localStorage. Use Export JSON
+            Everything you add saves to this device, photos included. Use Export JSON
             to back up or migrate.
           </li>
           <li>
@@ -1204,11 +4567,14 @@ const TABS = [
   { key: "wall", label: "Wall Planner" },
   { key: "manis", label: "Manicures" },
   { key: "tools", label: "Tools" },
+  { key: "dupes", label: "Dupes" },
   { key: "stats", label: "Stats" },
   { key: "backup", label: "Backup" },
 ];
 
-function Header({ tab, setTab }) {
+function Header({ tab, setTab, history, dispatch }) {
+  const undo = history.past[history.past.length - 1];
+  const redo = history.future[history.future.length - 1];
   return (
     <header className="sticky top-0 z-30 bg-gradient-to-r from-fuchsia-600 via-pink-600 to-rose-600 text-white shadow">
       <div className="max-w-6xl mx-auto px-3 py-3">
@@ -1221,6 +4587,24 @@ function Header({ tab, setTab }) {
             </div>
           </div>
           <div className="flex gap-2 overflow-auto">
+            <button
+              onClick={() => dispatch({ type: "history/undo" })}
+              disabled={!undo}
+              title={undo ? `Undo: ${undo.label} (Ctrl+Z)` : "Nothing to undo"}
+              aria-label="Undo last change"
+              className="px-2.5 py-1.5 rounded-xl text-sm font-semibold bg-white/15 text-white disabled:opacity-40"
+            >
+              ↶
+            </button>
+            <button
+              onClick={() => dispatch({ type: "history/redo" })}
+              disabled={!redo}
+              title={redo ? `Redo: ${redo.label} (Ctrl+Shift+Z)` : "Nothing to redo"}
+              aria-label="Redo last change"
+              className="px-2.5 py-1.5 rounded-xl text-sm font-semibold bg-white/15 text-white disabled:opacity-40"
+            >
+              ↷
+            </button>
             {TABS.map((t) => (
               <button key={t.key} onClick={() => setTab(t.key)} className={`px-3 py-1.5 rounded-xl text-sm font-semibold whitespace-nowrap ${tab === t.key ? "bg-white text-fuchsia-700" : "bg-white/15 text-white"}`}>
                 {t.label}
@@ -1243,12 +4627,27 @@ function placeholderFromHex(hex) {
   return `data:image/svg+xml;charset=utf-8,${svg}`;
 }
 
-export default function App() {
-  const [state, dispatch] = usePersistentState();
+// `storage` overrides some of the adapters (e.g. createMemoryAdapter() in tests)
+export default function App({ storage: overrides }) {
+  const storage = useMemo(() => ({ ...defaultStorage, ...overrides }), [overrides]);
+  const [state, dispatch, { loaded, saveError, loadErrors, discardSaved, history }] = usePersistentState(storage.local);
   const [tab, setTab] = useState("inventory");
+  // { kind, id } of an entry opened from another tab, highlighted once there
+  const [focus, setFocus] = useState(null);
+  const [inventoryQuery, setInventoryQuery] = useState("");
+  const selectTab = (key) => {
+    setFocus(null);
+    setTab(key);
+  };
+  const openEntity = (kind, id) => {
+    setFocus({ kind, id });
+    setTab(kind === "tools" ? "tools" : "inventory");
+  };
+  useUndoShortcuts(dispatch);
 
   // Enable cloud sync if a household key is set
-  useCloudSync(state, dispatch);
+  const { photoFailures } = useCloudSync(state, dispatch, storage.remote, storage.images);
+  useImageMigration(state, dispatch, loaded, loadErrors, storage.images);
 
   useEffect(() => {
     // force dark theme for better contrast
@@ -1256,18 +4655,25 @@ export default function App() {
   }, []);
 
   return (
-    <div className="min-h-screen bg-gradient-to-b from-fuchsia-50 via-pink-50 to-rose-50 dark:from-zinc-950 dark:via-zinc-950 dark:to-zinc-950 text-zinc-900 dark:text-zinc-100">
-      <Header tab={tab} setTab={setTab} />
-      {/* Wider container for desktop so 12 cols fit comfortably */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 grid gap-4">
-        {tab === "inventory" && <Inventory state={state} dispatch={dispatch} />}
-        {tab === "wall" && <WallPlanner state={state} dispatch={dispatch} />}
-        {tab === "manis" && <ManicuresView state={state} dispatch={dispatch} />}
-        {tab === "tools" && <ToolsView state={state} dispatch={dispatch} />}
-        {tab === "stats" && <StatsView state={state} />}
-        {tab === "backup" && <BackupView state={state} dispatch={dispatch} />}
-      </main>
-      <Footer />
-    </div>
+    <StorageContext.Provider value={storage}>
+      <div className="min-h-screen bg-gradient-to-b from-fuchsia-50 via-pink-50 to-rose-50 dark:from-zinc-950 dark:via-zinc-950 dark:to-zinc-950 text-zinc-900 dark:text-zinc-100">
+        <Header tab={tab} setTab={selectTab} history={history} dispatch={dispatch} />
+        {/* Wider container for desktop so 12 cols fit comfortably */}
+        <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 grid gap-4">
+          {loadErrors && <LoadErrorNotice errors={loadErrors} onDiscard={discardSaved} />}
+          <StorageWarning state={state} saveError={saveError} />
+          <PhotoSyncNotice failures={photoFailures} />
+          {tab === "inventory" && <Inventory state={state} dispatch={dispatch} focusId={focus?.kind === "polishes" ? focus.id : null} query={inventoryQuery} setQuery={setInventoryQuery} />}
+          {tab === "wall" && <WallPlanner state={state} dispatch={dispatch} />}
+          {tab === "manis" && <ManicuresView state={state} dispatch={dispatch} onOpen={openEntity} />}
+          {tab === "tools" && <ToolsView state={state} dispatch={dispatch} focusId={focus?.kind === "tools" ? focus.id : null} />}
+          {tab === "dupes" && <DupeFinder state={state} />}
+          {tab === "stats" && <StatsView state={state} />}
+          {tab === "backup" && <BackupView state={state} dispatch={dispatch} />}
+        </main>
+        <Footer />
+        <UndoToast history={history} dispatch={dispatch} />
+      </div>
+    </StorageContext.Provider>
   );
 }
@@ -1,8 +1,441 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
+import { createMemoryAdapter } from './storage';
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+test('runs against in-memory storage and syncs to the household room', async () => {
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', polishes: [{ id: 'p1', brand: 'OPI', name: 'Big Apple Red', tags: [] }], settings: { syncKey: 'HOME' } }],
+  });
+  const room = createMemoryAdapter();
+  render(<App storage={{ local, images: createMemoryAdapter(), remote: () => room }} />);
+  expect(await screen.findByText(/Big Apple Red/)).toBeInTheDocument();
+  await waitFor(async () => expect((await room.load('polishes')).map((p) => p.id)).toEqual(['p1']));
+});
+
+test('shares a large photo with the household in parts small enough for one room document each', async () => {
+  const polishes = [{ id: 'p1', brand: 'OPI', name: 'Big Apple Red', tags: [], imageId: 'img1' }];
+  const room = createMemoryAdapter();
+  const { unmount } = render(
+    <App
+      storage={{
+        local: createMemoryAdapter({ nailvault: [{ id: 'state_v1', polishes, settings: { syncKey: 'HOME' } }] }),
+        images: createMemoryAdapter({ images: [{ id: 'img1', blob: new Blob([new Uint8Array(900000)], { type: 'image/jpeg' }) }] }),
+        remote: () => room,
+      }}
+    />
+  );
+  await waitFor(async () => expect(await room.get('images', 'img1')).toMatchObject({ parts: 3 }));
+  const parts = (await room.load('imageParts')).filter((r) => r.imageId === 'img1');
+  expect(parts.map((r) => r.data.length <= 512 * 1024)).toEqual([true, true, true]);
+  unmount();
+
+  const images = createMemoryAdapter();
+  render(<App storage={{ local: createMemoryAdapter({ nailvault: [{ id: 'state_v1', polishes, settings: { syncKey: 'HOME' } }] }), images, remote: () => room }} />);
+  await waitFor(async () => expect((await images.get('images', 'img1'))?.blob.size).toBe(900000));
+});
+
+test('fetches a photo that reaches the room after the bottle pointing at it', async () => {
+  const room = createMemoryAdapter();
+  const images = createMemoryAdapter();
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', polishes: [{ id: 'p1', name: 'Onyx', tags: [], imageId: 'img1' }], settings: { syncKey: 'HOME' } }],
+  });
+  render(<App storage={{ local, images, remote: () => room }} />);
+  await waitFor(async () => expect(await room.get('polishes', 'p1')).not.toBeNull());
+  const dataUrl = `data:image/png;base64,${btoa('x'.repeat(30))}`;
+  await room.save('imageParts', [{ id: 'img1_part0', imageId: 'img1', data: dataUrl }]);
+  await room.save('images', [{ id: 'img1', parts: 1, thumbDataUrl: null }]);
+  await waitFor(async () => expect((await images.get('images', 'img1'))?.blob.size).toBe(30));
+});
+
+test('shows photos that fail to upload in the sync status', async () => {
+  const room = createMemoryAdapter();
+  const failing = { ...room, save: (c, records) => (c === 'images' ? Promise.reject(new Error('Document too large')) : room.save(c, records)) };
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', polishes: [{ id: 'p1', name: 'Onyx', tags: [], imageId: 'img1' }], settings: { syncKey: 'HOME' } }] });
+  const images = createMemoryAdapter({ images: [{ id: 'img1', blob: new Blob(['x'], { type: 'image/png' }) }] });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  render(<App storage={{ local, images, remote: () => failing }} />);
+  expect(await screen.findByText(/1 photo isn't syncing with your household/)).toBeInTheDocument();
+  expect(screen.getByText(/Document too large/)).toBeInTheDocument();
+  console.warn.mockRestore();
+});
+
+test('moves legacy data URL photos into the image store', async () => {
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', polishes: [{ id: 'p1', name: 'Onyx', tags: [], imageDataUrl: 'data:image/png;base64,iVBORw0KGgo=' }] }],
+  });
+  const images = createMemoryAdapter();
+  render(<App storage={{ local, images }} />);
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).polishes[0]).toMatchObject({ imageId: 'img_polishes_p1', imageDataUrl: null }));
+  expect((await images.get('images', 'img_polishes_p1')).type).toBe('image/png');
+});
+
+test('leaves unreadable saved data untouched and explains why', async () => {
+  const saved = { id: 'state_v1', schemaVersion: 99, polishes: [] };
+  const local = createMemoryAdapter({ nailvault: [saved] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  expect(await screen.findByText(/saved by a newer NailVault/)).toBeInTheDocument();
+  expect(await local.get('nailvault', 'state_v1')).toEqual(saved);
+});
+
+test('keeps stored photos while the saved data cannot be read', async () => {
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 99, polishes: [{ id: 'p1', name: 'Onyx', imageId: 'img1' }] }] });
+  const images = createMemoryAdapter({ images: [{ id: 'img1', blob: new Blob(['x'], { type: 'image/png' }) }] });
+  render(<App storage={{ local, images }} />);
+  expect(await screen.findByText(/saved by a newer NailVault/)).toBeInTheDocument();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  expect((await images.load('images')).map((r) => r.id)).toEqual(['img1']);
+});
+
+test('undoes a delete from the toast and redoes it with the keyboard', async () => {
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', polishes: [{ id: 'p1', brand: 'OPI', name: 'Big Apple Red', tags: [] }] }],
+  });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  expect(await screen.findByText(/Big Apple Red/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+  expect(await screen.findByText('Deleted OPI · Big Apple Red')).toBeInTheDocument();
+  expect(screen.getAllByText(/Big Apple Red/)).toHaveLength(1);
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(await screen.findByText(/Big Apple Red/)).toBeInTheDocument();
+  fireEvent.keyDown(window, { key: 'z', ctrlKey: true, shiftKey: true });
+  await waitFor(() => expect(screen.queryByText(/Big Apple Red/)).toBeNull());
+});
+
+test('layout doctor separates bottles that claim the same slot', async () => {
+  const at = { wall: 'A', shelf: 1, position: 1, tags: [] };
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', polishes: [{ id: 'p1', name: 'Onyx', updatedAt: 1, ...at }, { id: 'p2', name: 'Pearl', updatedAt: 2, ...at }] }],
+  });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Wall Planner' }));
+  expect(await screen.findByText(/shares A S1 #1 with another bottle/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Fix all' }));
+  await waitFor(async () => {
+    const { polishes } = await local.get('nailvault', 'state_v1');
+    expect(polishes.map((p) => [p.id, p.wall, p.shelf, p.position])).toEqual([['p1', 'A', 1, 1], ['p2', 'A', 1, 2]]);
+  });
+});
+
+test('previews bottles a smaller layout would displace and reflows them', async () => {
+  const local = createMemoryAdapter({
+    nailvault: [{
+      id: 'state_v1',
+      settings: { walls: [{ id: 'A', label: 'Vanity' }], shelvesPerWall: 2, slotsPerShelf: 3 },
+      polishes: [{ id: 'p1', name: 'Onyx', wall: 'A', shelf: 1, position: 1, tags: [] }, { id: 'p2', name: 'Pearl', wall: 'A', shelf: 1, position: 3, tags: [] }],
+    }],
+  });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Wall Planner' }));
+  fireEvent.change(screen.getByLabelText('Slots per shelf'), { target: { value: '2' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply layout' }));
+  expect(await screen.findByText(/leaves 1 bottle without a slot/)).toBeInTheDocument();
+  expect(screen.getByText('reflow → Vanity S1 #2')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Reflow into free slots' }));
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).settings.walls[0].shelves[0].slots).toBe(2));
+  const { polishes } = await local.get('nailvault', 'state_v1');
+  expect(polishes.find((p) => p.id === 'p2')).toMatchObject({ wall: 'A', shelf: 1, position: 2 });
+});
+
+test('places a polish by tapping it and then a slot, and announces the move', async () => {
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', settings: { walls: [{ id: 'A', label: 'Vanity' }], shelvesPerWall: 1, slotsPerShelf: 2 }, polishes: [{ id: 'p1', brand: 'OPI', name: 'Onyx', tags: [] }] }],
+  });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Wall Planner' }));
+  fireEvent.click(screen.getByRole('button', { name: 'OPI · Onyx, unplaced' }));
+  expect(screen.getByText(/Picked up OPI · Onyx/)).toBeInTheDocument();
+  const slot = screen.getByRole('button', { name: 'Vanity shelf 1 position 1: empty' });
+  fireEvent.keyDown(slot, { key: 'ArrowRight' });
+  fireEvent.keyDown(screen.getByRole('button', { name: 'Vanity shelf 1 position 2: empty' }), { key: 'Enter' });
+  expect(await screen.findByText('Placed OPI · Onyx at Vanity S1 #2.')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Vanity shelf 1 position 2: OPI · Onyx' })).toBeInTheDocument();
+});
+
+test('checks placements against each shelf of each wall', async () => {
+  const walls = [{ id: 'A', label: 'Helmer', shelves: [{ slots: 2, label: 'Drawer 1' }, { slots: 5 }] }];
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', schemaVersion: 4, settings: { walls }, polishes: [{ id: 'p1', name: 'Onyx', wall: 'A', shelf: 1, position: 4, tags: [] }, { id: 'p2', name: 'Pearl', wall: 'A', shelf: 2, position: 4, tags: [] }] }],
+  });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Wall Planner' }));
+  expect(screen.getByText(/is in position 4, outside 1–2/)).toBeInTheDocument();
+  expect(screen.getByText('Drawer 1')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Helmer shelf 2 position 4: — · Pearl' })).toBeInTheDocument();
+});
+
+test('a scanned barcode finds the polish already owned, or starts a new one', async () => {
+  const local = createMemoryAdapter({
+    nailvault: [{ id: 'state_v1', polishes: [{ id: 'p1', brand: 'OPI', name: 'Onyx', barcode: '036000291452', tags: [] }] }],
+  });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Scan barcode' }));
+  expect(await screen.findByText(/No camera available/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Or type the digits'), { target: { value: '0036000291452' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Look up' }));
+  expect(await screen.findByText('You already own this!')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Scan barcode' }));
+  fireEvent.change(await screen.findByLabelText('Or type the digits'), { target: { value: '4006381333931' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Look up' }));
+  expect(await screen.findByDisplayValue('4006381333931')).toBeInTheDocument();
+});
+
+test('finds the closest bottles to a typed colour and shows where they sit', async () => {
+  const walls = [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }];
+  const polishes = [
+    { id: 'p1', brand: 'OPI', name: 'Big Apple Red', colorHex: '#c81428', finish: 'cream', wall: 'A', shelf: 1, position: 2, tags: [] },
+    { id: 'p2', brand: 'Essie', name: 'Really Red', colorHex: '#c9152a', finish: 'cream', tags: [] },
+    { id: 'p3', brand: 'Zoya', name: 'Navy', colorHex: '#1e2a5a', finish: 'cream', tags: [] },
+  ];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 4, settings: { walls }, polishes }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Dupes' }));
+  fireEvent.change(screen.getByLabelText('Hex colour'), { target: { value: '#c81529' } });
+  const matches = within(screen.getByRole('list', { name: 'Closest matches' })).getAllByRole('listitem');
+  expect(matches[0]).toHaveTextContent('OPI · Big Apple Red');
+  expect(matches[0]).toHaveTextContent('Vanity S1 #2');
+  expect(matches[2]).toHaveTextContent('Zoya · Navy');
+  expect(screen.getByText(/2 bottles · up to ΔE/)).toBeInTheDocument();
+});
+
+test('filters the inventory with a query, completing fields and flagging mistakes', async () => {
+  const polishes = [
+    { id: 'p1', brand: 'Holo Taco', name: 'One Coat Black', finish: 'holographic', tags: ['untried'] },
+    { id: 'p2', brand: 'Holo Taco', name: 'Rainbow Flakie', finish: 'flake', tags: [] },
+    { id: 'p3', brand: 'OPI', name: 'Big Apple Red', finish: 'cream', tags: [] },
+  ];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 4, settings: { walls: [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }] }, polishes }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  const search = await screen.findByRole('combobox', { name: 'Search' });
+  fireEvent.change(search, { target: { value: 'bra', selectionStart: 3 } });
+  fireEvent.mouseDown(screen.getByRole('option', { name: /brand:/ }));
+  expect(search).toHaveValue('brand:');
+  fireEvent.change(search, { target: { value: 'brand:holo', selectionStart: 10 } });
+  fireEvent.keyDown(search, { key: 'Enter' });
+  expect(search).toHaveValue('brand:"Holo Taco"');
+  fireEvent.change(search, { target: { value: 'brand:"Holo Taco" -tag:untried' } });
+  expect(screen.getByText('1 of 3 polishes')).toBeInTheDocument();
+  expect(screen.getByText('Holo Taco · Rainbow Flakie')).toBeInTheDocument();
+  fireEvent.change(search, { target: { value: 'shelf:abc' } });
+  expect(screen.getByRole('alert')).toHaveTextContent('shelf needs a number');
+  expect(screen.getByText('3 of 3 polishes')).toBeInTheDocument();
+});
+
+test('saves a search as a smart collection with a live count and picks manicure polishes from it', async () => {
+  const polishes = [
+    { id: 'p1', brand: 'ILNP', name: 'Mega', finish: 'glitter', tags: ['untried'] },
+    { id: 'p2', brand: 'ILNP', name: 'Starfall', finish: 'glitter', tags: [] },
+    { id: 'p3', brand: 'OPI', name: 'Big Apple Red', finish: 'cream', tags: ['untried'] },
+  ];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 4, settings: { walls: [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }] }, polishes }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.change(await screen.findByRole('combobox', { name: 'Search' }), { target: { value: 'finish:glitter tag:untried' } });
+  fireEvent.change(screen.getByLabelText('Smart collection name'), { target: { value: 'Untried glitters' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save as smart collection' }));
+  expect(screen.getByRole('button', { name: 'Untried glitters (1)' })).toBeInTheDocument();
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).smartCollections).toHaveLength(1));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Manicures' }));
+  fireEvent.change(screen.getByLabelText('Pick polishes from'), { target: { value: (await local.get('nailvault', 'state_v1')).smartCollections[0].id } });
+  expect(screen.getByText('ILNP · Mega')).toBeInTheDocument();
+  expect(screen.queryByText('ILNP · Starfall')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Inventory' }));
+  expect(screen.getByRole('combobox', { name: 'Search' })).toHaveValue('finish:glitter tag:untried');
+  expect(screen.getByText('1 of 3 polishes')).toBeInTheDocument();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Search' }), { target: { value: '' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Untried glitters (1)' }));
+  expect(screen.getByRole('combobox', { name: 'Search' })).toHaveValue('finish:glitter tag:untried');
+});
+
+test('opens a manicure to edit its layers, links to its polishes and deletes it after confirming', async () => {
+  const polishes = [{ id: 'p1', brand: 'OPI', name: 'Big Apple Red', tags: [] }];
+  const manis = [{ id: 'm1', title: 'Date night', date: '2025-02-14', polishes: ['p1'], tools: [], steps: [{ step: '2 coats of red' }], rating: 5, wearDays: 4, tags: [] }];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 4, settings: { walls: [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }] }, polishes, manis }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Manicures' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Date night' }));
+  expect(screen.getByRole('cell', { name: '2 coats of red' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+  const layer = screen.getByRole('listitem', { name: 'Layer 1' });
+  fireEvent.change(within(layer).getByLabelText('Uses'), { target: { value: 'polish:p1' } });
+  fireEvent.change(within(layer).getByLabelText('Coats'), { target: { value: '3' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).manis[0].layers[0]).toMatchObject({ kind: 'color', polishId: 'p1', coats: 3 }));
+
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+  fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+  expect(confirm).toHaveBeenCalled();
+  confirm.mockRestore();
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).manis).toEqual([]));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Undo last change' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Open OPI · Big Apple Red in Inventory' }));
+  expect(screen.getByRole('combobox', { name: 'Search' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'OPI · Big Apple Red' })).toBeInTheDocument();
+});
+
+test('records an accent nail on the hand map and shows it in History', async () => {
+  const polishes = [
+    { id: 'p1', brand: 'OPI', name: 'Big Apple Red', colorHex: '#c81428', finish: 'cream', tags: [] },
+    { id: 'p2', brand: 'ILNP', name: 'Mega', colorHex: '#c0c0c0', finish: 'holographic', tags: [] },
+  ];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 6, settings: { walls: [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }] }, polishes }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Manicures' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Color' }));
+  fireEvent.change(within(screen.getByRole('listitem', { name: 'Layer 1' })).getByLabelText('Uses'), { target: { value: 'polish:p1' } });
+  expect(screen.getByRole('button', { name: 'Left ring: OPI · Big Apple Red' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Left ring: OPI · Big Apple Red' }));
+  fireEvent.click(screen.getAllByRole('button', { name: '+ Color' })[1]);
+  fireEvent.change(within(screen.getByRole('listitem', { name: 'Left ring layer 1' })).getByLabelText('Uses'), { target: { value: 'polish:p2' } });
+  expect(screen.getByRole('button', { name: 'Left ring: ILNP · Mega (own design)' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Save manicure' }));
+
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).manis).toHaveLength(1));
+  const [mani] = (await local.get('nailvault', 'state_v1')).manis;
+  expect(mani.nails.L4.layers[0]).toMatchObject({ kind: 'color', polishId: 'p2' });
+  expect(mani.polishes).toEqual(['p1', 'p2']);
+  expect(screen.getByTitle('Left ring: ILNP · Mega (own design)')).toBeInTheDocument();
+  expect(screen.getByTitle('Right ring: OPI · Big Apple Red')).toBeInTheDocument();
+});
+
+test('logs a chip and the removal of a manicure and ranks its base and top coats in Stats', async () => {
+  const polishes = [
+    { id: 'b1', brand: 'Orly', name: 'Bonder', tags: [] },
+    { id: 't1', brand: 'Seche', name: 'Vite', tags: [] },
+    { id: 'c1', brand: 'OPI', name: 'Big Apple Red', tags: [] },
+  ];
+  const layers = [{ id: 'l1', kind: 'base', polishId: 'b1' }, { id: 'l2', kind: 'color', polishId: 'c1', coats: 2 }, { id: 'l3', kind: 'top', polishId: 't1' }];
+  const applied = new Date(2025, 1, 14, 9, 0).getTime();
+  const manis = [{ id: 'm1', title: 'Date night', date: '2025-02-14', polishes: ['b1', 'c1', 't1'], tools: [], layers, events: [{ id: 'e1', type: 'applied', at: applied }], rating: 5, tags: [] }];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 7, settings: { walls: [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }] }, polishes, manis }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Manicures' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Date night' }));
+
+  fireEvent.change(screen.getByLabelText('When'), { target: { value: '2025-02-17T09:00' } });
+  fireEvent.change(screen.getByLabelText('Nail (optional)'), { target: { value: 'R2' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  expect(await screen.findByText(/first chip after 3 days \(Right index\)/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Event'), { target: { value: 'removed' } });
+  fireEvent.change(screen.getByLabelText('When'), { target: { value: '2025-02-20T21:00' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Log' }));
+  expect(await screen.findByText(/^6.5 days wear/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Stats' }));
+  const row = screen.getByRole('row', { name: /Orly · Bonder \+ Seche · Vite/ });
+  expect(row).toHaveTextContent('6.5 days');
+  expect(row).toHaveTextContent('3 days');
+  expect(screen.getByRole('row', { name: /OPI/ })).toHaveTextContent('6.5 days');
+});
+
+test('shows how often each polish is worn and starts a manicure from a neglected bottle', async () => {
+  const polishes = [
+    { id: 'p1', brand: 'OPI', name: 'Big Apple Red', finish: 'cream', tags: [] },
+    { id: 'p2', brand: 'ILNP', name: 'Mega', finish: 'holographic', tags: ['Summer'] },
+    { id: 'p3', brand: 'Zoya', name: 'Purity', finish: 'cream', tags: ['winter'] },
+  ];
+  const at = (d) => new Date(2025, 0, d, 9).getTime();
+  const manis = [{ id: 'm1', title: 'Classic red', polishes: ['p1'], tools: [], layers: [], rating: 4, events: [{ id: 'e1', type: 'applied', at: at(1) }, { id: 'e2', type: 'removed', at: at(6) }] }];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 7, settings: { walls: [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }] }, polishes, manis }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  expect(await screen.findByText('Worn 1× · last 2025-01-01 · ⭐ 4 avg · 5 days avg wear')).toBeInTheDocument();
+  expect(screen.getAllByText('✨ Untried')).toHaveLength(2);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Search' }), { target: { value: 'untried:true finish:cream' } });
+  expect(screen.getByText('1 of 3 polishes')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Manicures' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+  const neglected = screen.getByRole('list', { name: 'Neglected bottles' });
+  expect(within(neglected).getAllByRole('listitem').map((li) => li.textContent)).toEqual([
+    expect.stringContaining('ILNP · Mega'),
+    expect.stringContaining('Zoya · Purity'),
+    expect.stringContaining('OPI · Big Apple Red'),
+  ]);
+  fireEvent.change(screen.getByLabelText('Season'), { target: { value: 'summer' } });
+  expect(within(neglected).getAllByRole('listitem')).toHaveLength(1);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Start a manicure with ILNP · Mega' }));
+  expect(within(screen.getByRole('listitem', { name: 'Layer 1' })).getByLabelText('Uses')).toHaveValue('polish:p2');
+  fireEvent.click(screen.getByRole('button', { name: 'Save manicure' }));
+  await waitFor(() => expect(screen.queryByRole('list', { name: 'Neglected bottles' })).not.toBeInTheDocument());
+  fireEvent.click(screen.getByRole('button', { name: 'Inventory' }));
+  expect(screen.getAllByText('✨ Untried')).toHaveLength(1);
+});
+
+test('plans a randomly picked set on the calendar and logs the plan as a manicure', async () => {
+  const polishes = [
+    { id: 'p1', brand: 'OPI', name: 'Big Apple Red', finish: 'cream', tags: ['party'] },
+    { id: 'p2', brand: 'Zoya', name: 'Purity', finish: 'cream', tags: ['party'], empty: true },
+    { id: 'p3', brand: 'ILNP', name: 'Mega', finish: 'holographic', tags: [] },
+    { id: 't1', brand: 'Seche', name: 'Vite Top Coat', tags: [] },
+  ];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 7, settings: { walls: [{ id: 'A', label: 'Vanity', shelves: [{ slots: 3 }] }] }, polishes }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  await screen.findByText('Big Apple Red', { exact: false });
+  fireEvent.click(screen.getByRole('button', { name: 'Manicures' }));
+
+  fireEvent.change(screen.getByLabelText('Colour tag'), { target: { value: 'party' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Randomize' }));
+  const picked = screen.getByRole('status');
+  expect(picked).toHaveTextContent('OPI · Big Apple Red');
+  expect(picked).toHaveTextContent('Seche · Vite Top Coat');
+  expect(picked).toHaveTextContent('1 empty bottle skipped');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Plan it' }));
+  fireEvent.change(screen.getByLabelText('Plan title'), { target: { value: 'Holiday party' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save plan' }));
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).plans).toHaveLength(1));
+  expect((await local.get('nailvault', 'state_v1')).plans[0]).toMatchObject({ title: 'Holiday party', polishes: ['p1', 't1'] });
+
+  fireEvent.click(screen.getByRole('button', { name: '🗓 Holiday party' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Log as done' }));
+  expect(screen.getByText(/From your plan “Holiday party”/)).toBeInTheDocument();
+  expect(screen.getByLabelText('Title (optional)')).toHaveValue('Holiday party');
+  fireEvent.click(screen.getByRole('button', { name: 'Save manicure' }));
+
+  expect(await screen.findByRole('button', { name: '💅 Holiday party' })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: '🗓 Holiday party' })).not.toBeInTheDocument();
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).plans).toEqual([]));
+  expect((await local.get('nailvault', 'state_v1')).manis[0]).toMatchObject({ title: 'Holiday party', polishes: ['p1', 't1'] });
+});
+
+test('flags a CSV row whose barcode matches an owned bottle stored with spaces and dashes', async () => {
+  const polishes = [{ id: 'p1', brand: 'OPI', name: 'Big Apple Red', barcode: '0 12345-67890 5', tags: [] }];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', polishes }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  await screen.findByRole('heading', { name: 'OPI · Big Apple Red' });
+  fireEvent.click(screen.getByRole('button', { name: 'Backup' }));
+  const csv = 'brand,name,barcode\nOPI,Red Hot Rio,012345678905\n';
+  const file = new File([csv], 'stash.csv', { type: 'text/csv' });
+  file.text = async () => csv; // jsdom's File has no text()
+  fireEvent.change(screen.getByLabelText('Import CSV'), { target: { files: [file] } });
+  fireEvent.click(await screen.findByRole('button', { name: 'Preview import' }));
+  expect(screen.getByText('1 duplicates')).toBeInTheDocument();
+  expect(screen.getByText('already own OPI · Big Apple Red')).toBeInTheDocument();
+});
+
+test('keeps a sync conflict as merged without changing the polish', async () => {
+  const polish = { id: 'p1', brand: 'OPI', name: 'Big Apple Red', finish: 'cream', notes: 'mine + theirs', tags: [] };
+  const conflicts = [{ id: 'c1', kind: 'polishes', entityId: 'p1', fields: ['notes'], mine: { notes: 'mine' }, theirs: { notes: 'theirs' } }];
+  const local = createMemoryAdapter({ nailvault: [{ id: 'state_v1', schemaVersion: 8, polishes: [polish], conflicts }] });
+  render(<App storage={{ local, images: createMemoryAdapter() }} />);
+  await screen.findByRole('heading', { name: 'OPI · Big Apple Red' });
+  fireEvent.click(screen.getByRole('button', { name: 'Backup' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Keep as merged' }));
+  expect(screen.queryByRole('heading', { name: 'Conflicts' })).not.toBeInTheDocument();
+  await waitFor(async () => expect((await local.get('nailvault', 'state_v1')).conflicts).toEqual([]));
+  expect((await local.get('nailvault', 'state_v1')).polishes[0].notes).toBe('mine + theirs');
+  expect(screen.getByTitle('Undo: Kept a sync conflict as merged (Ctrl+Z)')).toBeInTheDocument();
+});
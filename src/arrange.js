@@ -0,0 +1,79 @@
+// src/arrange.js
+// Auto-arrange: sort the bottles in a set of slots and hand back the moves, without
+// touching state. Pinned bottles can keep their slots; everyone else fills the rest in
+// slot order (wall, shelf, position).
+
+import { parseHex, rgbToHsl } from "./color";
+
+const HUE_BUCKET = 30; // degrees per colour family, so lightness decides within a family
+const text = (v) => String(v || "").trim().toLowerCase();
+const compareText = (a, b) => (a && !b ? -1 : !a && b ? 1 : a.localeCompare(b));
+
+// Rainbow order: colour families red → violet, light to dark within each, then
+// neutrals (greys, black, white, nudes with little saturation) light to dark, then
+// bottles without a readable colour
+function colorKey(p) {
+  const rgb = parseHex(p.colorHex);
+  if (!rgb) return [2, 0, 0];
+  const { h, s, l } = rgbToHsl(rgb);
+  if (s < 0.12 || l < 0.08 || l > 0.95) return [1, 0, -l];
+  // reds wrap around 360°, so start the first family just below 0
+  return [0, Math.floor(((h + HUE_BUCKET / 2) % 360) / HUE_BUCKET), -l];
+}
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  return 0;
+};
+
+export const ARRANGE_SORTS = {
+  color: { label: "Colour (rainbow)", compare: (a, b) => compareKeys(colorKey(a), colorKey(b)) },
+  brand: { label: "Brand", compare: (a, b) => compareText(text(a.brand), text(b.brand)) },
+  collection: { label: "Collection", compare: (a, b) => compareText(text(a.collection), text(b.collection)) },
+  finish: { label: "Finish", compare: (a, b) => compareText(text(a.finish), text(b.finish)) },
+  added: { label: "Date added", compare: (a, b) => (a.addedAt || 0) - (b.addedAt || 0) },
+};
+
+export const ARRANGE_GROUPS = {
+  "": "Don't group",
+  brand: "Keep brands together",
+  collection: "Keep collections together",
+  finish: "Keep finishes together",
+};
+
+const slotOf = (p) => `${p.wall}-${p.shelf}-${p.position}`;
+
+// Bottles in scope that share a slot with another (a sync merge can leave two on one
+// spot): pinned bottles claim their slot first, then the first bottle listed. Auto-arrange
+// leaves these where they are; the layout doctor finds them a slot of their own.
+export function stackedBottles(polishes, slots, { keepPinned = true } = {}) {
+  const inScope = new Set(slots.map(slotOf));
+  const bottles = polishes.filter((p) => p.wall && p.shelf && p.position && inScope.has(slotOf(p)));
+  const claimed = new Set();
+  const claims = keepPinned ? [...bottles.filter((p) => p.pinned), ...bottles.filter((p) => !p.pinned)] : bottles;
+  return claims.filter((p) => {
+    if (claimed.has(slotOf(p))) return true;
+    claimed.add(slotOf(p));
+    return false;
+  });
+}
+
+// `slots`: the slots in scope, in order ({ wall, shelf, position }). Bottles already in
+// those slots are rearranged, apart from the stackedBottles; `sort` is an ARRANGE_SORTS
+// key and `groupBy` an ARRANGE_GROUPS key. -> [{ id, polish, from, to }] for the bottles
+// that move.
+export function planArrangement(polishes, slots, { sort = "color", groupBy = "", keepPinned = true } = {}) {
+  const inScope = new Set(slots.map(slotOf));
+  const stacked = new Set(stackedBottles(polishes, slots, { keepPinned }));
+  const bottles = polishes.filter((p) => p.wall && p.shelf && p.position && inScope.has(slotOf(p)) && !stacked.has(p));
+  const pinned = keepPinned ? bottles.filter((p) => p.pinned) : [];
+  const pinnedSlots = new Set(pinned.map(slotOf));
+  const free = slots.filter((s) => !pinnedSlots.has(slotOf(s)));
+  const byName = (a, b) => compareText(text(a.brand), text(b.brand)) || compareText(text(a.name), text(b.name)) || (a.id < b.id ? -1 : 1);
+  const movable = bottles
+    .filter((p) => !pinned.includes(p))
+    .sort((a, b) => (groupBy ? compareText(text(a[groupBy]), text(b[groupBy])) : 0) || ARRANGE_SORTS[sort].compare(a, b) || byName(a, b));
+  return movable
+    .map((p, i) => ({ id: p.id, polish: p, from: { wall: p.wall, shelf: p.shelf, position: p.position }, to: free[i] }))
+    .filter((m) => slotOf(m.from) !== slotOf(m.to));
+}
@@ -0,0 +1,46 @@
+import { planArrangement, stackedBottles } from './arrange';
+
+const slots = [1, 2, 3, 4].map((position) => ({ wall: 'A', shelf: 1, position }));
+const at = (position) => ({ wall: 'A', shelf: 1, position });
+
+test('sorts bottles into rainbow order and leaves pinned ones in place', () => {
+  const polishes = [
+    { id: 'white', colorHex: '#ffffff', ...at(1) },
+    { id: 'blue', colorHex: '#1d4ed8', ...at(2), pinned: true },
+    { id: 'red', colorHex: '#dc2626', ...at(3) },
+    { id: 'yellow', colorHex: '#facc15', ...at(4) },
+    { id: 'loose', colorHex: '#000000' },
+  ];
+  const moves = planArrangement(polishes, slots, { sort: 'color' });
+  expect(moves.map((m) => [m.id, m.to.position])).toEqual([['red', 1], ['yellow', 3], ['white', 4]]);
+  expect(planArrangement(polishes, slots, { sort: 'color', keepPinned: false }).map((m) => m.id)).toContain('blue');
+});
+
+test('keeps brands together and sorts by colour within each brand', () => {
+  const polishes = [
+    { id: 'z-red', brand: 'Zoya', colorHex: '#ff0000', ...at(1) },
+    { id: 'o-blue', brand: 'OPI', colorHex: '#0000ff', ...at(2) },
+    { id: 'z-green', brand: 'Zoya', colorHex: '#00ff00', ...at(3) },
+    { id: 'o-red', brand: 'OPI', colorHex: '#ff0000', ...at(4) },
+  ];
+  const moves = planArrangement(polishes, slots, { sort: 'color', groupBy: 'brand' });
+  const order = new Map(polishes.map((p) => [p.id, p.position]));
+  moves.forEach((m) => order.set(m.id, m.to.position));
+  expect([...order].sort((a, b) => a[1] - b[1]).map(([id]) => id)).toEqual(['o-red', 'o-blue', 'z-red', 'z-green']);
+});
+
+test('leaves bottles that share a slot where they are and fills the free slots with the rest', () => {
+  const polishes = [
+    { id: 'a', colorHex: '#1d4ed8', ...at(1) },
+    { id: 'b', colorHex: '#dc2626', ...at(1) },
+    { id: 'c', colorHex: '#facc15', ...at(2) },
+    { id: 'd', colorHex: '#16a34a', ...at(3), pinned: true },
+    { id: 'e', colorHex: '#ffffff', ...at(3) },
+  ];
+  const scope = slots.slice(0, 3);
+  expect(stackedBottles(polishes, scope).map((p) => p.id)).toEqual(['b', 'e']);
+  const moves = planArrangement(polishes, scope, { sort: 'color' });
+  expect(moves.map((m) => [m.id, m.to.position])).toEqual([['c', 1], ['a', 2]]);
+  expect(stackedBottles(polishes, scope, { keepPinned: false }).map((p) => p.id)).toEqual(['b', 'e']);
+  expect(planArrangement(polishes, scope, { sort: 'color', keepPinned: false }).every((m) => m.to)).toBe(true);
+});
@@ -0,0 +1,139 @@
+// src/barcode.js
+// EAN-13, UPC-A and EAN-8 from pixels, without a library: binarise a scanline, split it
+// into bar/space runs and match the runs against the EAN digit patterns. UPC-A is an
+// EAN-13 with a leading 0, so it comes out of the same decoder.
+
+export const BARCODE_FORMATS = ["ean_13", "upc_a", "ean_8"];
+
+// Run widths of each digit, space first (L set). R digits use the same widths bar first;
+// G digits are the L widths reversed.
+const L_WIDTHS = ["3211", "2221", "2122", "1411", "1132", "1231", "1114", "1312", "1213", "3112"].map((w) => [...w].map(Number));
+const G_WIDTHS = L_WIDTHS.map((w) => [...w].reverse());
+// parity of the six left-hand digits encodes the first EAN-13 digit
+const FIRST_DIGIT = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLG", "LGLGLL", "LGLGGL", "LGGLGL"];
+const MAX_DIGIT_ERROR = 0.38;
+
+// GTIN check digit: weights 3,1,3… from the right, excluding the check digit itself
+export function isValidGtin(code) {
+  const digits = String(code || "");
+  if (!/^(\d{8}|\d{12}|\d{13})$/.test(digits)) return false;
+  const body = [...digits.slice(0, -1)].reverse().map(Number);
+  const sum = body.reduce((n, d, i) => n + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// One comparable form per product: digits only, UPC-A widened to its EAN-13
+export function gtinKey(code) {
+  const digits = String(code || "").replace(/\D/g, "");
+  return digits.length === 12 ? `0${digits}` : digits;
+}
+
+function matchDigit(runs, sets) {
+  const total = runs.reduce((a, b) => a + b, 0);
+  let best = null;
+  for (const [set, table] of sets) {
+    for (let digit = 0; digit < table.length; digit++) {
+      let error = 0;
+      for (let i = 0; i < 4; i++) error += Math.abs((runs[i] * 7) / total - table[digit][i]);
+      error /= 7;
+      if (!best || error < best.error) best = { digit, set, error };
+    }
+  }
+  return best && best.error <= MAX_DIGIT_ERROR ? best : null;
+}
+
+// Guards are runs of one module each; allow generous print and blur variation
+function isGuard(runs, start, count, unit) {
+  for (let i = 0; i < count; i++) {
+    const r = runs[start + i] / unit;
+    if (!(r > 0.5 && r < 1.6)) return false;
+  }
+  return true;
+}
+
+// `runs`: alternating widths, runs[0] a bar. -> digits string or null
+function decodeRuns(runs, from, digitsPerSide) {
+  const unit = (runs[from] + runs[from + 1] + runs[from + 2]) / 3;
+  if (!isGuard(runs, from, 3, unit)) return null;
+  let i = from + 3;
+  const left = [];
+  for (let d = 0; d < digitsPerSide; d++, i += 4) {
+    const m = matchDigit(runs.slice(i, i + 4), digitsPerSide === 6 ? [["L", L_WIDTHS], ["G", G_WIDTHS]] : [["L", L_WIDTHS]]);
+    if (!m) return null;
+    left.push(m);
+  }
+  if (!isGuard(runs, i, 5, unit)) return null;
+  i += 5;
+  const right = [];
+  for (let d = 0; d < digitsPerSide; d++, i += 4) {
+    const m = matchDigit(runs.slice(i, i + 4), [["R", L_WIDTHS]]);
+    if (!m) return null;
+    right.push(m);
+  }
+  if (!isGuard(runs, i, 3, unit)) return null;
+  let prefix = "";
+  if (digitsPerSide === 6) {
+    const first = FIRST_DIGIT.indexOf(left.map((m) => m.set).join(""));
+    if (first < 0) return null;
+    prefix = String(first);
+  }
+  return prefix + [...left, ...right].map((m) => m.digit).join("");
+}
+
+// `row`: luminance values (0–255) along one line across the barcode
+export function decodeScanline(row) {
+  let min = 255;
+  let max = 0;
+  for (const v of row) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (max - min < 40) return null; // no contrast: nothing printed here
+  const threshold = (min + max) / 2;
+  const runs = [];
+  let dark = row[0] < threshold;
+  const firstDark = dark;
+  let width = 0;
+  for (const v of row) {
+    if ((v < threshold) === dark) width++;
+    else {
+      runs.push(width);
+      dark = !dark;
+      width = 1;
+    }
+  }
+  runs.push(width);
+  // make runs[0] a bar
+  if (!firstDark) runs.shift();
+  for (const rs of [runs, [...runs].reverse()]) {
+    // bars sit at even indices when read forwards; reversed, that depends on the count
+    const offset = rs === runs ? 0 : (rs.length - 1) % 2;
+    for (let i = offset; i + 43 <= rs.length; i += 2) {
+      const code = (i + 59 <= rs.length && decodeRuns(rs, i, 6)) || decodeRuns(rs, i, 4);
+      if (code && isValidGtin(code)) return code;
+    }
+  }
+  return null;
+}
+
+// Several rows through the middle of an ImageData, where a held-up barcode usually is
+export function decodeImageData({ data, width, height }) {
+  const rows = 24;
+  for (let k = 0; k < rows; k++) {
+    // middle first, then alternately further out
+    const step = Math.ceil(k / 2) * (k % 2 ? -1 : 1);
+    const y = Math.round(height / 2 + (step * height) / (rows + 2));
+    if (y < 0 || y >= height) continue;
+    const row = new Array(width);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      row[x] = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+    }
+    const code = decodeScanline(row);
+    if (code) return code;
+  }
+  return null;
+}
+
+// A 12-digit EAN-13 that starts with 0 is read out as its UPC-A
+export const displayCode = (code) => (code.length === 13 && code[0] === "0" ? code.slice(1) : code);
@@ -0,0 +1,40 @@
+import { decodeScanline, gtinKey, isValidGtin } from './barcode';
+
+const L = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLG', 'LGLGLL', 'LGLGGL', 'LGGLGL'];
+
+// Draws `code` as luminance values, `px` pixels per module, with a quiet zone each side
+function scanline(code, px = 3) {
+  const left = code.length === 13 ? code.slice(1, 7) : code.slice(0, 4);
+  const right = code.length === 13 ? code.slice(7) : code.slice(4);
+  const parity = code.length === 13 ? PARITY[code[0]] : 'LLLL';
+  const widths = [1, 1, 1];
+  [...left].forEach((d, i) => widths.push(...[...(parity[i] === 'G' ? [...L[d]].reverse().join('') : L[d])].map(Number)));
+  widths.push(1, 1, 1, 1, 1);
+  [...right].forEach((d) => widths.push(...[...L[d]].map(Number)));
+  widths.push(1, 1, 1);
+  // guard starts with a bar; left digits start with a space
+  const row = Array(10 * px).fill(230);
+  let dark = true;
+  for (const w of widths) {
+    row.push(...Array(w * px).fill(dark ? 20 : 230));
+    dark = !dark;
+  }
+  return [...row, ...Array(10 * px).fill(230)];
+}
+
+test('validates GTIN check digits', () => {
+  expect(isValidGtin('4006381333931')).toBe(true);
+  expect(isValidGtin('4006381333932')).toBe(false);
+  expect(isValidGtin('036000291452')).toBe(true);
+  expect(isValidGtin('96385074')).toBe(true);
+  expect(gtinKey('036000291452')).toBe(gtinKey('0036000291452'));
+});
+
+test('decodes EAN-13, UPC-A and EAN-8 scanlines either way up', () => {
+  expect(decodeScanline(scanline('4006381333931'))).toBe('4006381333931');
+  expect(decodeScanline(scanline('0036000291452', 2))).toBe('0036000291452');
+  expect(decodeScanline(scanline('96385074', 4))).toBe('96385074');
+  expect(decodeScanline(scanline('4006381333931').reverse())).toBe('4006381333931');
+  expect(decodeScanline(Array(200).fill(128))).toBeNull();
+});
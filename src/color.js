@@ -0,0 +1,163 @@
+// src/color.js
+// Colour maths on the "#rrggbb" strings polishes store.
+
+// -> [r, g, b] (0–255), or null when `hex` isn't a 3- or 6-digit hex colour
+export function parseHex(hex) {
+  const h = String(hex || "").trim().replace(/^#/, "");
+  const full = /^[0-9a-f]{3}$/i.test(h) ? h.split("").map((c) => c + c).join("") : h;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return null;
+  return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+}
+
+// -> { h: 0–360, s: 0–1, l: 0–1 }
+export function rgbToHsl([r, g, b]) {
+  const [R, G, B] = [r / 255, g / 255, b / 255];
+  const max = Math.max(R, G, B);
+  const min = Math.min(R, G, B);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (!d) return { h: 0, s: 0, l };
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h = max === R ? ((G - B) / d) % 6 : max === G ? (B - R) / d + 2 : (R - G) / d + 4;
+  h *= 60;
+  return { h: h < 0 ? h + 360 : h, s, l };
+}
+
+// [r, g, b] -> "#rrggbb", rounding and clamping each channel
+export function rgbToHex(rgb) {
+  return `#${rgb.map((v) => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, "0")).join("")}`;
+}
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+// Average colour of the square of `radius` pixels around (x, y) in an ImageData
+export function sampleColor({ data, width, height }, x, y, radius = 2) {
+  const sum = [0, 0, 0];
+  let n = 0;
+  for (let yy = Math.max(0, y - radius); yy <= Math.min(height - 1, y + radius); yy++) {
+    for (let xx = Math.max(0, x - radius); xx <= Math.min(width - 1, x + radius); xx++) {
+      const o = (yy * width + xx) * 4;
+      if (data[o + 3] < 128) continue;
+      sum[0] += data[o];
+      sum[1] += data[o + 1];
+      sum[2] += data[o + 2];
+      n++;
+    }
+  }
+  return n ? rgbToHex(sum.map((v) => v / n)) : null;
+}
+
+// The photo's background, guessed as the median colour along its edges
+function edgeColor({ data, width, height }) {
+  const px = [];
+  const push = (x, y) => {
+    const o = (y * width + x) * 4;
+    px.push([data[o], data[o + 1], data[o + 2]]);
+  };
+  for (let x = 0; x < width; x++) {
+    push(x, 0);
+    push(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    push(0, y);
+    push(width - 1, y);
+  }
+  return [0, 1, 2].map((c) => px.map((p) => p[c]).sort((a, b) => a - b)[px.length >> 1]);
+}
+
+// Likely polish colours in a bottle photo -> [{ hex, share }], most likely first.
+// Pixels close to the background (the edge colour) are skipped; the top of the frame,
+// where an upright bottle's cap sits, and the outer border count for less; so do greys
+// and near-whites, which are more often labels and glare than polish.
+export function extractPalette(imageData, { count = 5 } = {}) {
+  const { data, width, height } = imageData;
+  const background = edgeColor(imageData);
+  const bins = new Map();
+  let total = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (data[o + 3] < 128) continue;
+      const rgb = [data[o], data[o + 1], data[o + 2]];
+      if (distance(rgb, background) < 40) continue;
+      const { s, l } = rgbToHsl(rgb);
+      const dx = Math.abs(x / width - 0.5) * 2;
+      const dy = y / height;
+      let weight = 1 - 0.6 * dx;
+      if (dy < 0.3) weight *= 0.35;
+      if (s < 0.15 || l > 0.92) weight *= 0.4;
+      const key = (rgb[0] >> 4) * 256 + (rgb[1] >> 4) * 16 + (rgb[2] >> 4);
+      const bin = bins.get(key) || { weight: 0, sum: [0, 0, 0] };
+      bin.weight += weight;
+      bin.sum = bin.sum.map((v, i) => v + rgb[i] * weight);
+      bins.set(key, bin);
+      total += weight;
+    }
+  }
+  if (!total) return [];
+  // neighbouring bins are one colour split by quantisation: fold them together
+  const merged = [];
+  for (const bin of [...bins.values()].sort((a, b) => b.weight - a.weight)) {
+    const rgb = bin.sum.map((v) => v / bin.weight);
+    const near = merged.find((m) => distance(m.rgb, rgb) < 36);
+    if (near) {
+      const w = near.weight + bin.weight;
+      near.rgb = near.rgb.map((v, i) => (v * near.weight + rgb[i] * bin.weight) / w);
+      near.weight = w;
+    } else merged.push({ rgb, weight: bin.weight });
+  }
+  return merged
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, count)
+    .map((m) => ({ hex: rgbToHex(m.rgb), share: m.weight / total }));
+}
+
+// sRGB [r, g, b] -> CIE L*a*b* (D65 white)
+export function rgbToLab(rgb) {
+  const [r, g, b] = rgb.map((v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const xyz = [
+    (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+    0.2126 * r + 0.7152 * g + 0.0722 * b,
+    (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883,
+  ];
+  const [fx, fy, fz] = xyz.map((t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116));
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+const rad = (deg) => (deg * Math.PI) / 180;
+const deg = (r) => {
+  const d = (r * 180) / Math.PI;
+  return d < 0 ? d + 360 : d;
+};
+
+// CIEDE2000 colour difference between two Lab colours: under 1 is invisible,
+// 2–3 is close enough that most people call it the same shade
+export function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const C7 = (((Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2) ** 7);
+  const G = 0.5 * (1 - Math.sqrt(C7 / (C7 + 25 ** 7)));
+  const ap1 = a1 * (1 + G);
+  const ap2 = a2 * (1 + G);
+  const Cp1 = Math.hypot(ap1, b1);
+  const Cp2 = Math.hypot(ap2, b2);
+  const hp1 = Cp1 ? deg(Math.atan2(b1, ap1)) : 0;
+  const hp2 = Cp2 ? deg(Math.atan2(b2, ap2)) : 0;
+  const dL = L2 - L1;
+  const dC = Cp2 - Cp1;
+  let dh = 0;
+  if (Cp1 * Cp2) dh = hp2 - hp1 > 180 ? hp2 - hp1 - 360 : hp2 - hp1 < -180 ? hp2 - hp1 + 360 : hp2 - hp1;
+  const dH = 2 * Math.sqrt(Cp1 * Cp2) * Math.sin(rad(dh / 2));
+  const Lm = (L1 + L2) / 2;
+  const Cm = (Cp1 + Cp2) / 2;
+  let hm = hp1 + hp2;
+  if (Cp1 * Cp2) hm = Math.abs(hp1 - hp2) > 180 ? (hp1 + hp2 + (hp1 + hp2 < 360 ? 360 : -360)) / 2 : (hp1 + hp2) / 2;
+  const T = 1 - 0.17 * Math.cos(rad(hm - 30)) + 0.24 * Math.cos(rad(2 * hm)) + 0.32 * Math.cos(rad(3 * hm + 6)) - 0.2 * Math.cos(rad(4 * hm - 63));
+  const Cm7 = Cm ** 7;
+  const RT = -2 * Math.sqrt(Cm7 / (Cm7 + 25 ** 7)) * Math.sin(rad(60 * Math.exp(-(((hm - 275) / 25) ** 2))));
+  const SL = 1 + (0.015 * (Lm - 50) ** 2) / Math.sqrt(20 + (Lm - 50) ** 2);
+  const SC = 1 + 0.045 * Cm;
+  const SH = 1 + 0.015 * Cm * T;
+  return Math.sqrt((dL / SL) ** 2 + (dC / SC) ** 2 + (dH / SH) ** 2 + RT * (dC / SC) * (dH / SH));
+}
@@ -0,0 +1,40 @@
+import { deltaE2000, extractPalette, parseHex, rgbToHsl, rgbToLab, sampleColor } from './color';
+
+// width × height RGBA pixels from fill(x, y) -> [r, g, b]
+function image(width, height, fill) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set([...fill(x, y), 255], (y * width + x) * 4);
+  }
+  return { data, width, height };
+}
+
+test('parses hex colours and converts them to HSL', () => {
+  expect(parseHex('#f00')).toEqual([255, 0, 0]);
+  expect(parseHex('nope')).toBeNull();
+  expect(rgbToHsl([0, 0, 255])).toEqual({ h: 240, s: 1, l: 0.5 });
+});
+
+test('finds the bottle colour rather than the background or the cap', () => {
+  // white backdrop, black cap across the top, red bottle below it
+  const photo = image(40, 60, (x, y) => {
+    if (x < 10 || x >= 30 || y < 4) return [250, 250, 250];
+    if (y < 20) return [15, 15, 15];
+    return [200, 20, 40];
+  });
+  const palette = extractPalette(photo);
+  expect(palette[0].hex).toBe('#c81428');
+  expect(palette.map((c) => c.hex)).not.toContain('#fafafa');
+  expect(sampleColor(photo, 20, 40)).toBe('#c81428');
+});
+
+test('measures CIEDE2000 differences like the reference data', () => {
+  // pairs from Sharma, Wu & Dalal's CIEDE2000 test set
+  expect(deltaE2000([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBeCloseTo(2.0425, 4);
+  expect(deltaE2000([50, 2.5, 0], [73, 25, -18])).toBeCloseTo(27.1492, 4);
+  expect(deltaE2000([2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514])).toBeCloseTo(0.9082, 4);
+  const [L, a, b] = rgbToLab([255, 255, 255]);
+  expect(L).toBeCloseTo(100, 2);
+  expect(a).toBeCloseTo(0, 1);
+  expect(b).toBeCloseTo(0, 1);
+});
@@ -0,0 +1,15 @@
+import { parseCsv, toCsv } from './csv';
+
+test('parses quoted fields, embedded commas, quotes and newlines', () => {
+  const text = '\uFEFFbrand,name,notes\r\nOPI,"Lincoln Park, After Dark","say ""wow""\nsecond line"\n\nEssie,Ballet Slippers,\n';
+  expect(parseCsv(text)).toEqual([
+    ['brand', 'name', 'notes'],
+    ['OPI', 'Lincoln Park, After Dark', 'say "wow"\nsecond line'],
+    ['Essie', 'Ballet Slippers', ''],
+  ]);
+});
+
+test('round-trips through toCsv', () => {
+  const rows = [['a', 'b,c'], ['"q"', '']];
+  expect(parseCsv(toCsv(rows))).toEqual(rows);
+});
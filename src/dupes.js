@@ -0,0 +1,95 @@
+// src/dupes.js
+// Dupe finder: how alike two polishes look, from colour (CIEDE2000 on `colorHex`) and
+// finish. Bottles without a readable colour are left out rather than guessed at.
+
+import { deltaE2000, parseHex, rgbToLab } from "./color";
+
+// Finishes that read alike on the nail; a cream and a jelly of one colour are closer
+// than a cream and a glitter
+const FINISH_FAMILIES = {
+  cream: "solid",
+  jelly: "solid",
+  neon: "solid",
+  shimmer: "sheen",
+  metallic: "sheen",
+  magnetic: "sheen",
+  glitter: "sparkle",
+  flake: "sparkle",
+  holographic: "sparkle",
+};
+
+const FINISH_WEIGHT = 6; // a different finish counts like this much extra ΔE
+export const DUPE_THRESHOLD = 5; // scores at or below this are likely dupes
+
+// 0 for the same finish, 0.5 for the same family (or when one is unknown), 1 otherwise
+export function finishDistance(a, b) {
+  const x = String(a || "").toLowerCase();
+  const y = String(b || "").toLowerCase();
+  if (!x || !y || x === "other" || y === "other") return 0.5;
+  if (x === y) return 0;
+  return FINISH_FAMILIES[x] && FINISH_FAMILIES[x] === FINISH_FAMILIES[y] ? 0.5 : 1;
+}
+
+// How close a ΔE looks, in words
+export function describeDeltaE(deltaE) {
+  if (deltaE < 2) return "Near-identical";
+  if (deltaE < 5) return "Very close";
+  if (deltaE < 10) return "Similar";
+  return "Different";
+}
+
+const labOf = (hex) => {
+  const rgb = parseHex(hex);
+  return rgb && rgbToLab(rgb);
+};
+
+function compare(lab, finish, other) {
+  const deltaE = deltaE2000(lab, other.lab);
+  const finishGap = finishDistance(finish, other.polish.finish);
+  return { polish: other.polish, deltaE, finishDistance: finishGap, score: deltaE + FINISH_WEIGHT * finishGap };
+}
+
+// The bottles closest to `target` ({ colorHex, finish, id? }), best first -> [{ polish, deltaE, finishDistance, score }].
+// The target itself is skipped when it's one of `polishes`.
+export function rankDupes(target, polishes, { limit = 8 } = {}) {
+  const lab = labOf(target.colorHex);
+  if (!lab) return [];
+  return polishes
+    .filter((p) => p.id == null || p.id !== target.id)
+    .map((polish) => ({ polish, lab: labOf(polish.colorHex) }))
+    .filter((x) => x.lab)
+    .map((x) => compare(lab, target.finish, x))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit);
+}
+
+// Groups of bottles that are likely dupes of each other -> [{ polishes, maxDeltaE }], biggest then tightest first.
+// Bottles join a group through any member within `threshold`.
+export function findDupeClusters(polishes, { threshold = DUPE_THRESHOLD } = {}) {
+  const items = polishes.map((polish) => ({ polish, lab: labOf(polish.colorHex) })).filter((x) => x.lab);
+  const parent = items.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const pairs = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const [a, b] = [items[i].lab, items[j].lab];
+      // CIEDE2000 is costly; colours this far apart in plain Lab are never dupes
+      if (Math.abs(a[0] - b[0]) > 4 * threshold || Math.hypot(a[1] - b[1], a[2] - b[2]) > 8 * threshold) continue;
+      const { deltaE, score } = compare(a, items[i].polish.finish, items[j]);
+      if (score > threshold) continue;
+      pairs.push({ i, j, deltaE });
+      parent[root(i)] = root(j);
+    }
+  }
+  const groups = new Map();
+  items.forEach((x, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, { polishes: [], maxDeltaE: 0 });
+    groups.get(r).polishes.push(x.polish);
+  });
+  for (const { i, deltaE } of pairs) {
+    const g = groups.get(root(i));
+    g.maxDeltaE = Math.max(g.maxDeltaE, deltaE);
+  }
+  return [...groups.values()].filter((g) => g.polishes.length > 1).sort((a, b) => b.polishes.length - a.polishes.length || a.maxDeltaE - b.maxDeltaE);
+}
@@ -0,0 +1,35 @@
+import { findDupeClusters, finishDistance, rankDupes } from './dupes';
+
+const polish = (id, colorHex, finish = 'cream') => ({ id, name: id, colorHex, finish });
+
+const stash = [
+  polish('red', '#c81428'),
+  polish('red-jelly', '#c9152a', 'jelly'),
+  polish('red-glitter', '#c81428', 'glitter'),
+  polish('pink', '#f472b6'),
+  polish('pink-too', '#f373b5'),
+  polish('navy', '#1e2a5a'),
+  polish('mystery', ''),
+];
+
+test('ranks the closest colours first, with finish breaking near-ties', () => {
+  const ranked = rankDupes({ colorHex: '#c81428', finish: 'cream' }, stash);
+  expect(ranked.slice(0, 3).map((r) => r.polish.id)).toEqual(['red', 'red-jelly', 'red-glitter']);
+  expect(ranked[0].deltaE).toBe(0);
+  expect(ranked.map((r) => r.polish.id)).not.toContain('mystery');
+});
+
+test('leaves the polish itself out of its own matches', () => {
+  expect(rankDupes(stash[0], stash).map((r) => r.polish.id)).not.toContain('red');
+});
+
+test('groups likely dupes across the collection', () => {
+  const clusters = findDupeClusters(stash);
+  expect(clusters.map((c) => c.polishes.map((p) => p.id))).toEqual([['pink', 'pink-too'], ['red', 'red-jelly']]);
+});
+
+test('treats finishes in one family as closer than unrelated ones', () => {
+  expect(finishDistance('cream', 'cream')).toBe(0);
+  expect(finishDistance('cream', 'jelly')).toBe(0.5);
+  expect(finishDistance('cream', 'glitter')).toBe(1);
+});
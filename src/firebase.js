@@ -5,10 +5,13 @@ import {
   getFirestore,
   collection,
   doc,
+  getDoc,
+  getDocs,
   onSnapshot,
   setDoc,
   updateDoc,
   deleteDoc,
+  writeBatch,
   serverTimestamp,
 } from "firebase/firestore";
 
@@ -45,5 +48,61 @@ export {
   setDoc,
   updateDoc,
   deleteDoc,
+  writeBatch,
   serverTimestamp,
 };
+
+// Storage adapter (see ./storage.js) over the collections under one Firestore path,
+// e.g. createFirestoreAdapter("rooms", syncKey). Writes are batched; Timestamp fields
+// come back as milliseconds and every write stamps syncedAt on the server.
+const BATCH_LIMIT = 450; // Firestore caps a batch at 500 writes
+
+function fromDoc(d) {
+  const data = d.data();
+  for (const [k, v] of Object.entries(data)) if (typeof v?.toMillis === "function") data[k] = v.toMillis();
+  return { ...data, id: d.id };
+}
+
+export function createFirestoreAdapter(...path) {
+  const ready = ensureAnonAuth();
+  const col = (name) => collection(db, ...path, name);
+  const commit = async (items, write) => {
+    await ready;
+    for (let i = 0; i < items.length; i += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      items.slice(i, i + BATCH_LIMIT).forEach((item) => write(batch, item));
+      await batch.commit();
+    }
+  };
+  return {
+    async load(name) {
+      await ready;
+      return (await getDocs(col(name))).docs.map(fromDoc);
+    },
+    async get(name, id) {
+      await ready;
+      const snap = await getDoc(doc(col(name), id));
+      return snap.exists() ? fromDoc(snap) : null;
+    },
+    save(name, records) {
+      // whole records replace the document, like the other adapters, so fields dropped
+      // locally don't linger in the room. Firestore rejects undefined fields; a JSON
+      // round-trip drops them
+      return commit(records, (batch, r) => batch.set(doc(col(name), r.id), { ...JSON.parse(JSON.stringify(r)), syncedAt: serverTimestamp() }));
+    },
+    delete(name, ids) {
+      return commit(ids, (batch, id) => batch.delete(doc(col(name), id)));
+    },
+    subscribe(name, fn) {
+      let unsub = null;
+      let active = true;
+      ready.then(() => {
+        if (active) unsub = onSnapshot(col(name), (snap) => fn(snap.docs.map(fromDoc)));
+      });
+      return () => {
+        active = false;
+        if (unsub) unsub();
+      };
+    },
+  };
+}
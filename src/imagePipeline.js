@@ -0,0 +1,109 @@
+// src/imagePipeline.js
+// Upload pipeline for photos: decode upright (EXIF orientation), downscale and re-encode
+// through a canvas. Re-encoding keeps pixels only, so EXIF (GPS included) is dropped.
+
+export const DEFAULT_MAX_DIMENSION = 1600;
+export const THUMB_DIMENSION = 256;
+
+// EXIF orientation (1–8) of a JPEG, 1 when absent or not a JPEG
+export function readExifOrientation(buffer) {
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) !== 0xffd8) return 1;
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // start of scan: no more metadata
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        // "Exif\0\0" then a TIFF header
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little) || 1;
+        }
+        return 1;
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch (e) {
+    // truncated or malformed header
+  }
+  return 1;
+}
+
+async function decode(blob) {
+  if (typeof createImageBitmap === "function") {
+    try {
+      const bitmap = await createImageBitmap(blob, { imageOrientation: "from-image" });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, upright: true };
+    } catch (e) {
+      // fall back to an <img>
+    }
+  }
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const el = new Image();
+      el.onload = () => resolve(el);
+      el.onerror = () => reject(new Error("Could not read image"));
+      el.src = url;
+    });
+    // browsers that honour image-orientation already hand the canvas an upright image
+    const upright = typeof CSS !== "undefined" && !!CSS.supports?.("image-orientation", "from-image");
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight, upright };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function applyOrientation(ctx, orientation, w, h) {
+  switch (orientation) {
+    case 2: return ctx.transform(-1, 0, 0, 1, w, 0);
+    case 3: return ctx.transform(-1, 0, 0, -1, w, h);
+    case 4: return ctx.transform(1, 0, 0, -1, 0, h);
+    case 5: return ctx.transform(0, 1, 1, 0, 0, 0);
+    case 6: return ctx.transform(0, 1, -1, 0, h, 0);
+    case 7: return ctx.transform(0, -1, -1, 0, h, w);
+    case 8: return ctx.transform(0, -1, 1, 0, 0, w);
+    default: return undefined;
+  }
+}
+
+async function render(source, width, height, orientation, maxDimension, quality) {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const sideways = orientation >= 5;
+  const canvas = document.createElement("canvas");
+  canvas.width = sideways ? h : w;
+  canvas.height = sideways ? w : h;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Canvas is not available");
+  // JPEG has no alpha: flatten transparent PNGs onto white rather than black
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  applyOrientation(ctx, orientation, w, h);
+  ctx.drawImage(source, 0, 0, w, h);
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Could not encode image"))), "image/jpeg", quality)
+  );
+  return { blob, width: canvas.width, height: canvas.height };
+}
+
+// -> { full, thumb, width, height }: two JPEG Blobs, the full one bounded by maxDimension
+export async function processImage(file, { maxDimension = DEFAULT_MAX_DIMENSION, thumbDimension = THUMB_DIMENSION, quality = 0.85 } = {}) {
+  // the EXIF block sits in the first few KB
+  const orientation = readExifOrientation(await file.slice(0, 128 * 1024).arrayBuffer());
+  const { source, width, height, upright } = await decode(file);
+  try {
+    const rotate = upright ? 1 : orientation;
+    const full = await render(source, width, height, rotate, maxDimension, quality);
+    const thumb = await render(source, width, height, rotate, thumbDimension, 0.8);
+    return { full: full.blob, thumb: thumb.blob, width: full.width, height: full.height };
+  } finally {
+    source.close?.();
+  }
+}
@@ -0,0 +1,26 @@
+import { readExifOrientation } from './imagePipeline';
+
+function jpegWithOrientation(orientation, littleEndian = false) {
+  const tiff = new DataView(new ArrayBuffer(26));
+  tiff.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+  tiff.setUint16(2, 42, littleEndian);
+  tiff.setUint32(4, 8, littleEndian);
+  tiff.setUint16(8, 1, littleEndian); // one IFD entry
+  tiff.setUint16(10, 0x0112, littleEndian); // Orientation
+  tiff.setUint16(12, 3, littleEndian); // SHORT
+  tiff.setUint32(14, 1, littleEndian);
+  tiff.setUint16(18, orientation, littleEndian);
+  const exif = [0x45, 0x78, 0x69, 0x66, 0, 0, ...new Uint8Array(tiff.buffer)];
+  const length = exif.length + 2;
+  return new Uint8Array([0xff, 0xd8, 0xff, 0xe1, length >> 8, length & 0xff, ...exif, 0xff, 0xda]).buffer;
+}
+
+test('reads EXIF orientation in either byte order', () => {
+  expect(readExifOrientation(jpegWithOrientation(6))).toBe(6);
+  expect(readExifOrientation(jpegWithOrientation(8, true))).toBe(8);
+});
+
+test('defaults to upright for non-JPEG or truncated input', () => {
+  expect(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer)).toBe(1);
+  expect(readExifOrientation(jpegWithOrientation(6).slice(0, 12))).toBe(1);
+});
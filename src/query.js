@@ -0,0 +1,297 @@
+// src/query.js
+// The Inventory search language, e.g.
+//   brand:"Holo Taco" finish:holographic,flake -tag:untried shelf:3..5 added:>2025-01-01 unplaced:true
+// Terms next to each other must all match; OR joins alternatives, a leading - or NOT
+// negates, parentheses group. `field:a,b` matches any of the values, `field:3..5` a range
+// (either end may be left open) and `field:>x` a comparison. Bare words and "quoted
+// phrases" search brand, name, collection, shade code, barcode and tags.
+
+const lower = (v) => String(v ?? "").toLowerCase();
+
+// kind decides which values a field takes: text (contains), exact (equals one of),
+// number and date (comparisons and ranges) or boolean (true/false)
+export const QUERY_FIELDS = {
+  brand: { kind: "text", help: "brand contains", get: (p) => p.brand },
+  name: { kind: "text", help: "name contains", get: (p) => p.name },
+  collection: { kind: "text", help: "collection contains", get: (p) => p.collection },
+  shade: { kind: "text", help: "shade code contains", get: (p) => p.shadeCode },
+  barcode: { kind: "text", help: "barcode contains", get: (p) => p.barcode },
+  notes: { kind: "text", help: "notes contain", get: (p) => p.notes },
+  finish: { kind: "exact", help: "finish is", get: (p) => [p.finish] },
+  tag: { kind: "exact", help: "has the tag", get: (p) => p.tags || [] },
+  wall: { kind: "exact", help: "on the wall (name or id)", get: (p, ctx) => (p.wall ? [p.wall, ctx.wallLabel?.(p.wall)] : []) },
+  shelf: { kind: "number", help: "shelf number, e.g. 3..5", get: (p) => p.shelf },
+  position: { kind: "number", help: "position on the shelf", get: (p) => p.position },
+  added: { kind: "date", help: "date added, e.g. >2025-01-01", get: (p) => p.addedAt },
+  unplaced: { kind: "boolean", help: "has no slot", get: (p, ctx) => !ctx.placed?.(p) },
+  pinned: { kind: "boolean", help: "pinned to its slot", get: (p) => !!p.pinned },
+  empty: { kind: "boolean", help: "marked as used up", get: (p) => !!p.empty },
+  used: { kind: "number", help: "times worn in a manicure", get: (p, ctx) => ctx.usage?.(p)?.count ?? 0 },
+  untried: { kind: "boolean", help: "never worn in a manicure", get: (p, ctx) => !ctx.usage?.(p) },
+};
+
+const OPERATORS = ["AND", "OR", "NOT"];
+const BOOLEANS = { true: true, yes: true, false: false, no: false };
+
+// Splits `s` on `sep` wherever it isn't inside double quotes
+function splitOutside(s, sep) {
+  const parts = [];
+  let quoted = false;
+  let from = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '"') quoted = !quoted;
+    else if (!quoted && s.startsWith(sep, i)) {
+      parts.push(s.slice(from, i));
+      from = i + sep.length;
+      i += sep.length - 1;
+    }
+  }
+  parts.push(s.slice(from));
+  return parts;
+}
+
+const unquote = (s) => s.replace(/"/g, "");
+
+// Quotes a value when it wouldn't survive as a bare word
+export const quoteValue = (v) => (/[\s,()"]|\.\./.test(v) ? `"${String(v).replace(/"/g, "")}"` : String(v));
+
+function tokenize(text, errors) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === "(" || c === ")") {
+      tokens.push({ type: c, start: i, end: ++i });
+      continue;
+    }
+    // "-x" and "-(…)" negate; a "-" on its own is searched for as a word
+    if (c === "-" && text[i + 1] && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: "NOT", start: i, end: ++i });
+      continue;
+    }
+    const start = i;
+    while (i < text.length && !/[\s()]/.test(text[i])) {
+      if (text[i] !== '"') {
+        i++;
+        continue;
+      }
+      const close = text.indexOf('"', i + 1);
+      if (close < 0) {
+        errors.push({ message: "This quote is never closed.", start: i, end: text.length });
+        i = text.length;
+      } else i = close + 1;
+    }
+    const src = text.slice(start, i);
+    tokens.push(OPERATORS.includes(src) ? { type: src, start, end: i } : { type: "term", src, start, end: i });
+  }
+  return tokens;
+}
+
+// Day, month or year -> [first ms, ms after the last], or null
+function dateSpan(s) {
+  const m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(s);
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), m[2] && Number(m[2]) - 1, m[3] && Number(m[3])];
+  const start = new Date(y, mo || 0, d || 1);
+  const end = m[3] ? new Date(y, mo, d + 1) : m[2] ? new Date(y, mo + 1, 1) : new Date(y + 1, 0, 1);
+  if (start.getFullYear() !== y || (m[2] && start.getMonth() !== mo) || (m[3] && start.getDate() !== d)) return null;
+  return [start.getTime(), end.getTime()];
+}
+
+// One value of a number/date field -> test(x), or an error message
+function orderedTest(kind, field, op, part) {
+  const read = (s) => {
+    if (kind === "number") return s.trim() && Number.isFinite(Number(s)) ? [Number(s), Number(s)] : null;
+    const span = dateSpan(s.trim());
+    return span && [span[0], span[1] - 1];
+  };
+  const example = kind === "number" ? `${field}:3, ${field}:3..5 or ${field}:>2` : `${field}:2025-01-01, ${field}:2025-01..2025-03 or ${field}:>2025`;
+  const range = splitOutside(part, "..");
+  if (range.length === 2 && !op) {
+    const [lo, hi] = range.map((s) => unquote(s));
+    const from = lo ? read(lo) : [-Infinity, -Infinity];
+    const to = hi ? read(hi) : [Infinity, Infinity];
+    if (!from || !to) return `${field} needs ${kind === "number" ? "numbers" : "dates"}, like ${example}.`;
+    return (x) => x != null && x >= from[0] && x <= to[1];
+  }
+  const v = read(unquote(part));
+  if (range.length > 1 || !v) return `${field} needs ${kind === "number" ? "a number" : "a date"}, like ${example}.`;
+  const [lo, hi] = v;
+  const tests = {
+    "=": (x) => x >= lo && x <= hi,
+    ">": (x) => x > hi,
+    ">=": (x) => x >= lo,
+    "<": (x) => x < lo,
+    "<=": (x) => x <= hi,
+  };
+  const test = tests[op || "="];
+  return (x) => x != null && test(x);
+}
+
+function parseTerm({ src, start, end }, errors) {
+  const m = /^([A-Za-z]+):/.exec(src);
+  if (!m) {
+    const needle = lower(unquote(src));
+    return { type: "text", needle, start, end };
+  }
+  const field = m[1].toLowerCase();
+  const def = QUERY_FIELDS[field];
+  const fail = (message) => {
+    errors.push({ message, start, end });
+    return null;
+  };
+  if (!def) return fail(`There's no "${m[1]}" field. Try ${Object.keys(QUERY_FIELDS).join(", ")}.`);
+  let rest = src.slice(m[0].length);
+  const op = /^(>=|<=|>|<|=)/.exec(rest)?.[1];
+  if (op) rest = rest.slice(op.length);
+  if (!unquote(rest).trim()) return fail(`${field}: needs a value after the colon.`);
+  const parts = splitOutside(rest, ",").filter((s) => unquote(s).trim());
+  let tests;
+  if (def.kind === "number" || def.kind === "date") {
+    tests = parts.map((part) => orderedTest(def.kind, field, op === "=" ? null : op, part));
+    const problem = tests.find((t) => typeof t === "string");
+    if (problem) return fail(problem);
+  } else {
+    if ((op && op !== "=") || parts.some((s) => splitOutside(s, "..").length > 1)) return fail(`${field} can't take ranges or comparisons.`);
+    const wanted = parts.map((s) => lower(unquote(s).trim()));
+    if (def.kind === "boolean") {
+      if (wanted.some((w) => !(w in BOOLEANS))) return fail(`${field} is true or false.`);
+      tests = wanted.map((w) => (x) => x === BOOLEANS[w]);
+    } else if (def.kind === "exact") tests = wanted.map((w) => (xs) => xs.some((x) => lower(x) === w));
+    else tests = wanted.map((w) => (x) => lower(x).includes(w));
+  }
+  return { type: "field", field, start, end, match: (p, ctx) => tests.some((t) => t(def.get(p, ctx))) };
+}
+
+// -> { ast, errors: [{ message, start, end }] }. ast is null for an empty query; with
+// errors the ast is only what could be read and shouldn't be used to filter.
+export function parseQuery(text) {
+  const errors = [];
+  const tokens = tokenize(String(text || ""), errors);
+  let i = 0;
+  const peek = () => tokens[i];
+
+  function parseOr() {
+    const items = [];
+    let part = parseAnd();
+    if (part) items.push(part);
+    while (peek()?.type === "OR") {
+      const or = tokens[i++];
+      part = parseAnd();
+      if (!part || items.length === 0) errors.push({ message: "OR needs a term on both sides.", start: or.start, end: or.end });
+      if (part) items.push(part);
+    }
+    return items.length > 1 ? { type: "or", items } : items[0] || null;
+  }
+
+  function parseAnd() {
+    const items = [];
+    while (peek() && peek().type !== ")" && peek().type !== "OR") {
+      if (peek().type === "AND") {
+        const and = tokens[i++];
+        if (!items.length || !peek() || [")", "OR", "AND"].includes(peek().type)) errors.push({ message: "AND needs a term on both sides.", start: and.start, end: and.end });
+        continue;
+      }
+      const item = parseNot();
+      if (item) items.push(item);
+    }
+    return items.length > 1 ? { type: "and", items } : items[0] || null;
+  }
+
+  function parseNot() {
+    if (peek().type !== "NOT") return parsePrimary();
+    const not = tokens[i++];
+    if (!peek() || [")", "OR", "AND"].includes(peek().type)) {
+      errors.push({ message: "Nothing to leave out after this.", start: not.start, end: not.end });
+      return null;
+    }
+    const item = parseNot();
+    return item && { type: "not", item };
+  }
+
+  function parsePrimary() {
+    const tok = tokens[i++];
+    if (tok.type !== "(") return parseTerm(tok, errors);
+    const inner = parseOr();
+    if (peek()?.type === ")") i++;
+    else errors.push({ message: "This bracket is never closed.", start: tok.start, end: tok.end });
+    if (!inner) errors.push({ message: "Empty brackets.", start: tok.start, end: tokens[i - 1].end });
+    return inner;
+  }
+
+  const items = [];
+  while (i < tokens.length) {
+    const part = parseOr();
+    if (part) items.push(part);
+    if (peek()?.type === ")") {
+      errors.push({ message: "This bracket was never opened.", start: peek().start, end: peek().end });
+      i++;
+    }
+  }
+  const ast = items.length > 1 ? { type: "and", items } : items[0] || null;
+  errors.sort((a, b) => a.start - b.start);
+  return { ast, errors };
+}
+
+// Does polish `p` match? `ctx` gives { wallLabel(id), placed(p), usage(p) } for the wall, unplaced
+// and used/untried fields; usage(p) is the polish's { count } or null when it's never been worn.
+export function matchQuery(ast, p, ctx = {}) {
+  if (!ast) return true;
+  switch (ast.type) {
+    case "and":
+      return ast.items.every((item) => matchQuery(item, p, ctx));
+    case "or":
+      return ast.items.some((item) => matchQuery(item, p, ctx));
+    case "not":
+      return !matchQuery(ast.item, p, ctx);
+    case "field":
+      return ast.match(p, ctx);
+    default:
+      return [p.brand, p.name, p.collection, p.shadeCode, p.barcode, (p.tags || []).join(" ")].join(" ").toLowerCase().includes(ast.needle);
+  }
+}
+
+// Completions for the word at `cursor` -> { from, to, options: [{ label, help, text }] }.
+// Replacing text[from, to) with an option's `text` applies it. `values` lists known
+// values per field, e.g. { brand: ["OPI", "Holo Taco"] }.
+export function suggestQuery(text, cursor, values = {}) {
+  let from = 0;
+  let quoted = false;
+  for (let i = 0; i < cursor; i++) {
+    if (text[i] === '"') quoted = !quoted;
+    else if (!quoted && /[\s()]/.test(text[i])) from = i + 1;
+  }
+  let to = cursor;
+  while (to < text.length && !/[\s()]/.test(text[to])) to++;
+  if (text[from] === "-") from++;
+  const word = text.slice(from, cursor);
+  const m = /^([A-Za-z]+):(>=|<=|>|<|=)?/.exec(word);
+  if (!m) {
+    if (!word || word.includes('"')) return { from, to, options: [] };
+    const options = Object.entries(QUERY_FIELDS)
+      .filter(([name]) => name.startsWith(lower(word)) && name !== lower(word))
+      .map(([name, def]) => ({ label: `${name}:`, help: def.help, text: `${name}:` }));
+    return { from, to, options };
+  }
+  const field = m[1].toLowerCase();
+  const def = QUERY_FIELDS[field];
+  if (!def) return { from, to, options: [] };
+  // complete the last of a comma-separated list
+  const list = word.slice(m[0].length);
+  const head = splitOutside(list, ",").slice(0, -1).join(",");
+  const valueFrom = from + m[0].length + (head ? head.length + 1 : 0);
+  const typed = lower(unquote(text.slice(valueFrom, cursor)));
+  const known = def.kind === "boolean" ? ["true", "false"] : values[field] || [];
+  const seen = new Set();
+  const options = known
+    .filter((v) => v != null && String(v).trim() && lower(v).includes(typed) && lower(v) !== typed)
+    .filter((v) => !seen.has(lower(v)) && seen.add(lower(v)))
+    .sort((a, b) => lower(b).startsWith(typed) - lower(a).startsWith(typed) || lower(a).localeCompare(lower(b)))
+    .slice(0, 8)
+    .map((v) => ({ label: String(v), help: def.help, text: quoteValue(v) }));
+  return { from: valueFrom, to, options };
+}
@@ -0,0 +1,56 @@
+import { matchQuery, parseQuery, suggestQuery } from './query';
+
+const polishes = [
+  { id: 'h1', brand: 'Holo Taco', name: 'One Coat Black', finish: 'holographic', tags: ['favorite'], wall: 'A', shelf: 3, position: 1, addedAt: new Date(2025, 2, 4).getTime() },
+  { id: 'h2', brand: 'Holo Taco', name: 'Rainbow Flakie', finish: 'flake', tags: ['untried'], wall: 'A', shelf: 4, position: 2, addedAt: new Date(2025, 5, 1).getTime() },
+  { id: 'o1', brand: 'OPI', name: 'Big Apple Red', finish: 'cream', tags: [], wall: 'B', shelf: 1, position: 1, addedAt: new Date(2024, 11, 31).getTime() },
+  { id: 'o2', brand: 'OPI', name: 'Holo Dream', finish: 'holographic', tags: [], addedAt: new Date(2025, 0, 15).getTime() },
+];
+const ctx = { wallLabel: (id) => ({ A: 'Vanity', B: 'Helmer' })[id], placed: (p) => !!(p.wall && p.shelf && p.position), usage: (p) => ({ h1: { count: 2 }, o1: { count: 1 } })[p.id] || null };
+
+const search = (q) => {
+  const { ast, errors } = parseQuery(q);
+  expect(errors).toEqual([]);
+  return polishes.filter((p) => matchQuery(ast, p, ctx)).map((p) => p.id);
+};
+
+test('combines fields, lists, ranges, dates and negation', () => {
+  expect(search('brand:"Holo Taco" finish:holographic,flake -tag:untried shelf:3..5 added:>2025-01-01')).toEqual(['h1']);
+  expect(search('unplaced:true')).toEqual(['o2']);
+  expect(search('added:2025-01')).toEqual(['o2']);
+  expect(search('added:..2024')).toEqual(['o1']);
+  expect(search('wall:helmer')).toEqual(['o1']);
+  expect(search('shelf:>=3 position:2')).toEqual(['h2']);
+  expect(search('used:>=2')).toEqual(['h1']);
+  expect(search('untried:true finish:holographic')).toEqual(['o2']);
+});
+
+test('supports OR, NOT, brackets and quoted phrases', () => {
+  expect(search('finish:cream OR tag:favorite')).toEqual(['h1', 'o1']);
+  expect(search('opi NOT (finish:cream OR shelf:1)')).toEqual(['o2']);
+  expect(search('opi -(finish:cream OR shelf:1)')).toEqual(['o2']);
+  expect(search('-(brand:opi)')).toEqual(['h1', 'h2']);
+  expect(search('"holo d"')).toEqual(['o2']);
+  expect(search('')).toEqual(['h1', 'h2', 'o1', 'o2']);
+});
+
+test('reports syntax errors with the span they cover', () => {
+  expect(parseQuery('colour:red').errors).toEqual([expect.objectContaining({ message: expect.stringMatching(/no "colour" field/), start: 0, end: 10 })]);
+  expect(parseQuery('shelf:abc').errors[0].message).toMatch(/shelf needs a number/);
+  expect(parseQuery('added:2025-13-01').errors[0].message).toMatch(/added needs a date/);
+  expect(parseQuery('unplaced:maybe').errors[0].message).toMatch(/true or false/);
+  expect(parseQuery('brand:"Holo').errors[0]).toMatchObject({ message: 'This quote is never closed.', start: 6 });
+  expect(parseQuery('(finish:cream').errors[0].message).toBe('This bracket is never closed.');
+  expect(parseQuery('finish:cream OR').errors[0].message).toBe('OR needs a term on both sides.');
+});
+
+test('suggests field names and known values at the cursor', () => {
+  expect(suggestQuery('fin', 3).options.map((o) => o.text)).toEqual(['finish:']);
+  const values = { brand: ['Holo Taco', 'OPI'], finish: ['flake', 'holographic'] };
+  const text = 'brand:ho';
+  const { from, to, options } = suggestQuery(text, text.length, values);
+  expect(options.map((o) => o.text)).toEqual(['"Holo Taco"']);
+  expect(text.slice(0, from) + options[0].text + text.slice(to)).toBe('brand:"Holo Taco"');
+  expect(suggestQuery('finish:holographic,fl', 21, values)).toMatchObject({ from: 19, options: [{ text: 'flake' }] });
+  expect(suggestQuery('-unpl', 5).options.map((o) => o.text)).toEqual(['unplaced:']);
+});
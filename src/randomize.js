@@ -0,0 +1,47 @@
+// src/randomize.js
+// "Surprise me": a colour and a top coat picked at random from the stash. Bottles marked
+// empty are never picked. A top coat is a bottle named or tagged as one, or one that has
+// been the top layer of a manicure; base coats are found the same way and neither is
+// offered as the colour.
+
+const COAT_NAMES = {
+  top: /\btop\s*-?\s*coat\b|\btopcoat\b/i,
+  base: /\bbase\s*-?\s*coat\b|\bbasecoat\b/i,
+};
+
+// ids of the bottles that work as `kind` ("top" or "base") coats
+export function coatIds(polishes, manis, kind) {
+  const ids = new Set();
+  for (const m of manis) for (const l of m.layers || []) if (l.kind === kind && l.polishId) ids.add(l.polishId);
+  for (const p of polishes) if ([p.name, ...(p.tags || [])].some((s) => COAT_NAMES[kind].test(s || ""))) ids.add(p.id);
+  return ids;
+}
+
+const pick = (list, random) => (list.length ? list[Math.min(list.length - 1, Math.floor(random() * list.length))] : null);
+
+// -> { color, top, colors, tops, empty }: the picks (null when nothing fits), how many
+// bottles each was picked from and how many matching bottles were skipped as empty.
+// The filters narrow the colour: finish, tag, untried (never worn, per `usage`) and wall.
+export function randomSet(polishes, { manis = [], usage = new Map(), finish = null, tag = null, untried = false, wall = null } = {}, random = Math.random) {
+  const tops = coatIds(polishes, manis, "top");
+  const bases = coatIds(polishes, manis, "base");
+  const lower = (s) => String(s || "").trim().toLowerCase();
+  const matches = polishes.filter(
+    (p) =>
+      !tops.has(p.id) &&
+      !bases.has(p.id) &&
+      (!finish || p.finish === finish) &&
+      (!tag || (p.tags || []).some((t) => lower(t) === lower(tag))) &&
+      (!untried || !usage.has(p.id)) &&
+      (!wall || p.wall === wall)
+  );
+  const colors = matches.filter((p) => !p.empty);
+  const topCoats = polishes.filter((p) => tops.has(p.id) && !p.empty);
+  return {
+    color: pick(colors, random),
+    top: pick(topCoats, random),
+    colors: colors.length,
+    tops: topCoats.length,
+    empty: matches.length - colors.length,
+  };
+}
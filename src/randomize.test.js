@@ -0,0 +1,27 @@
+import { coatIds, randomSet } from './randomize';
+
+const polishes = [
+  { id: 'c1', name: 'Big Apple Red', finish: 'cream', tags: ['fall'], wall: 'A' },
+  { id: 'c2', name: 'Mega', finish: 'holographic', tags: [], wall: 'B' },
+  { id: 'c3', name: 'Purity', finish: 'cream', tags: ['Fall'], wall: 'A', empty: true },
+  { id: 'c4', name: 'Lincoln Park', finish: 'cream', tags: [], wall: 'B' },
+  { id: 't1', name: 'Seche Vite Top Coat', tags: [] },
+  { id: 't2', name: 'Glossy', tags: [], empty: true },
+  { id: 'b1', name: 'Bonder', tags: ['base coat'] },
+];
+const manis = [{ id: 'm1', layers: [{ kind: 'top', polishId: 't2' }, { kind: 'color', polishId: 'c4' }] }];
+
+test('finds top and base coats by name, tag or the layers they were used in', () => {
+  expect([...coatIds(polishes, manis, 'top')].sort()).toEqual(['t1', 't2']);
+  expect([...coatIds(polishes, manis, 'base')]).toEqual(['b1']);
+});
+
+test('picks a colour matching the filters and a top coat, never an empty bottle', () => {
+  const first = () => 0;
+  const last = () => 0.999;
+  expect(randomSet(polishes, { manis }, first)).toMatchObject({ color: { id: 'c1' }, top: { id: 't1' }, colors: 3, tops: 1, empty: 1 });
+  expect(randomSet(polishes, { manis }, last).color.id).toBe('c4');
+  expect(randomSet(polishes, { manis, finish: 'cream', tag: 'fall' }, last)).toMatchObject({ color: { id: 'c1' }, colors: 1, empty: 1 });
+  expect(randomSet(polishes, { manis, wall: 'B', untried: true, usage: new Map([['c4', { count: 1 }]]) }, last).color.id).toBe('c2');
+  expect(randomSet(polishes, { manis, finish: 'matte' })).toMatchObject({ color: null, colors: 0 });
+});
@@ -0,0 +1,223 @@
+// src/schema.js
+// Versioned shape of the saved state. `schemaVersion` is stored with the state (and on
+// every synced entity); data from older versions is brought forward by the ordered
+// MIGRATIONS below, whether it comes from this device, a backup file or the household room.
+
+export const SCHEMA_VERSION = 8;
+
+const COLLECTIONS = ["polishes", "tools", "manis", "smartCollections", "plans"];
+const MAX_REPORTED = 20;
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+// default wall names: A–Z, then W27, W28…
+const wallLabel = (i) => (i < 26 ? String.fromCharCode(65 + i) : `W${i + 1}`);
+
+// A free-text manicure step ({ step }) as a typed layer, guessing the kind from its words
+const LAYER_HINTS = [
+  ["prep", /prep|dehydrat|primer|buff|file|cuticle|clean/i],
+  ["base", /base/i],
+  ["top", /top/i],
+  ["cure", /cure|lamp|\bled\b|\buv\b/i],
+  ["art", /art|stamp|decal|sticker|dots?\b|stripe|foil/i],
+];
+const stepToLayer = (s, i) => {
+  const note = String(s?.step ?? s ?? "").trim();
+  const coats = Number(/(\d+)\s*coats?/i.exec(note)?.[1]) || null;
+  return { id: `l${i + 1}`, kind: LAYER_HINTS.find(([, re]) => re.test(note))?.[0] || "color", polishId: null, toolId: null, coats, note };
+};
+
+// A manicure's date ("YYYY-MM-DD") as midday UTC, so every device migrates it alike
+const dayAt = (date) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ""));
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12) : null;
+};
+
+const toList = (v) => {
+  if (Array.isArray(v)) return v;
+  if (typeof v === "string" && v.trim()) return v.split(",").map((x) => x.trim()).filter(Boolean);
+  return [];
+};
+
+// Each step lifts data from `version - 1` to `version`. `state` reshapes the top level,
+// `entities[collection]` reshapes one polish, tool or manicure (also used for cloud docs).
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: "Deletion tombstones, sync conflicts and photo references",
+    state: (s) => ({
+      ...s,
+      tombstones: s.tombstones && typeof s.tombstones === "object" ? s.tombstones : { polishes: {}, tools: {}, manis: {} },
+      conflicts: Array.isArray(s.conflicts) ? s.conflicts : [],
+    }),
+    entities: {
+      polishes: (p) => ({ ...p, tags: toList(p.tags), imageId: p.imageId ?? null }),
+      tools: (t) => ({ ...t, imageId: t.imageId ?? null }),
+      manis: (m) => ({
+        ...m,
+        polishes: toList(m.polishes),
+        tools: toList(m.tools),
+        steps: Array.isArray(m.steps) ? m.steps : [],
+        tags: toList(m.tags),
+        imageId: m.imageId ?? null,
+      }),
+    },
+  },
+  {
+    version: 3,
+    description: "Walls get ids separate from their names",
+    // polishes already store the old wall name, so it becomes the wall's id
+    state: (s) => {
+      if (!isObject(s.settings) || Array.isArray(s.settings.walls)) return s;
+      const { wallNames, wallCount, ...settings } = s.settings;
+      const count = Math.max(1, Number(wallCount ?? 2) || 2);
+      const names = Array.from({ length: count }, (_, i) => (Array.isArray(wallNames) && String(wallNames[i] ?? "").trim()) || wallLabel(i));
+      return { ...s, settings: { ...settings, walls: names.map((name) => ({ id: name, label: name })) } };
+    },
+  },
+  {
+    version: 4,
+    description: "Each wall has its own shelves, and each shelf its own slot count",
+    state: (s) => {
+      if (!isObject(s.settings) || !Array.isArray(s.settings.walls)) return s;
+      const { shelvesPerWall, slotsPerShelf, ...settings } = s.settings;
+      const count = (v, fallback) => Math.max(1, Math.round(Number(v)) || fallback);
+      const shelves = Array.from({ length: count(shelvesPerWall, 8) }, () => ({ slots: count(slotsPerShelf, 21) }));
+      const walls = settings.walls.map((w) => (isObject(w) && !Array.isArray(w.shelves) ? { ...w, shelves: shelves.map((sh) => ({ ...sh })) } : w));
+      return { ...s, settings: { ...settings, walls } };
+    },
+  },
+  {
+    version: 5,
+    description: "Saved searches (smart collections)",
+    state: (s) => ({
+      ...s,
+      smartCollections: Array.isArray(s.smartCollections) ? s.smartCollections : [],
+      tombstones: { ...s.tombstones, smartCollections: s.tombstones?.smartCollections || {} },
+    }),
+  },
+  {
+    version: 6,
+    description: "Manicure steps become typed layers",
+    entities: {
+      manis: (m) => {
+        if (Array.isArray(m.layers)) return m;
+        const { steps, ...rest } = m;
+        return { ...rest, layers: (Array.isArray(steps) ? steps : []).map(stepToLayer) };
+      },
+    },
+  },
+  {
+    version: 7,
+    description: "Manicure wear is logged as applied, chip and removal events",
+    entities: {
+      manis: (m) => {
+        if (Array.isArray(m.events)) return m;
+        const { wearDays, ...rest } = m;
+        const applied = dayAt(m.date);
+        const days = Number(wearDays) || 0;
+        const events = applied == null ? [] : [{ id: "e1", type: "applied", at: applied }];
+        if (applied != null && days > 0) events.push({ id: "e2", type: "removed", at: applied + days * 24 * 60 * 60 * 1000 });
+        return { ...rest, events };
+      },
+    },
+  },
+  {
+    version: 8,
+    description: "Planned manicures",
+    state: (s) => ({
+      ...s,
+      plans: Array.isArray(s.plans) ? s.plans : [],
+      tombstones: { ...s.tombstones, plans: s.tombstones?.plans || {} },
+    }),
+  },
+];
+
+
+function versionOf(v) {
+  const n = Number(v ?? 1);
+  return Number.isInteger(n) && n >= 1 ? n : null;
+}
+
+// One polish/tool/manicure from `record.schemaVersion` (default 1) to the current version.
+// Returns null for records written by a newer app, which this one must not rewrite.
+export function migrateEntity(collection, record) {
+  const from = versionOf(record?.schemaVersion);
+  if (!isObject(record) || from == null || from > SCHEMA_VERSION) return null;
+  let out = record;
+  for (const m of MIGRATIONS) if (m.version > from && m.entities?.[collection]) out = m.entities[collection](out);
+  const { schemaVersion, ...rest } = out;
+  return rest;
+}
+
+const describe = (collection, item, i) => {
+  const label = collection === "polishes" ? [item?.brand, item?.name].filter(Boolean).join(" · ") : item?.name || item?.title;
+  return `${collection} #${i + 1}${label ? ` (${label})` : ""}`;
+};
+
+// Structural problems that would break the app, as readable sentences
+export function validateState(s) {
+  if (!isObject(s)) return ["The data is not a NailVault backup: expected a JSON object at the top level."];
+  if (![...COLLECTIONS, "settings"].some((k) => k in s)) {
+    return ["The data is not a NailVault backup: it has no polishes, tools, manicures or settings."];
+  }
+  const errors = [];
+  if ("settings" in s && !isObject(s.settings)) errors.push("settings should be an object.");
+  for (const name of COLLECTIONS) {
+    if (!(name in s)) continue;
+    if (!Array.isArray(s[name])) {
+      errors.push(`${name} should be a list.`);
+      continue;
+    }
+    const seen = new Set();
+    s[name].forEach((item, i) => {
+      if (!isObject(item)) return errors.push(`${describe(name, item, i)} is not an object.`);
+      if (typeof item.id !== "string" || !item.id) errors.push(`${describe(name, item, i)} has no id.`);
+      else if (seen.has(item.id)) errors.push(`${describe(name, item, i)} repeats the id "${item.id}".`);
+      seen.add(item.id);
+      if ("name" in item && item.name != null && typeof item.name !== "string") errors.push(`${describe(name, item, i)} has a name that is not text.`);
+      if (name === "manis" || name === "plans") {
+        for (const key of ["polishes", "tools"]) {
+          if (!Array.isArray(item[key]) || !item[key].every((x) => typeof x === "string")) errors.push(`${describe(name, item, i)} lists ${key} that are not ids.`);
+        }
+      }
+    });
+  }
+  return errors;
+}
+
+// -> { state, from, applied, errors }. When `errors` is non-empty the state must not be used.
+export function migrateState(raw) {
+  if (!isObject(raw)) return { state: null, from: null, applied: [], errors: validateState(raw) };
+  const from = versionOf(raw.schemaVersion);
+  if (from == null) return { state: null, from, applied: [], errors: [`schemaVersion "${raw.schemaVersion}" is not a version number.`] };
+  if (from > SCHEMA_VERSION) {
+    return {
+      state: null,
+      from,
+      applied: [],
+      errors: [`This data was saved by a newer NailVault (schema ${from}); this app understands up to schema ${SCHEMA_VERSION}. Update the app and try again.`],
+    };
+  }
+  // entity details are checked after migrating, since migrations fix some of them
+  const shapeErrors = validateState(raw).filter((e) => !e.includes(" lists "));
+  if (shapeErrors.length) return { state: null, from, applied: [], errors: capped(shapeErrors) };
+  let state = raw;
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    if (m.state) state = m.state(state);
+    for (const name of COLLECTIONS) {
+      const fn = m.entities?.[name];
+      if (fn && Array.isArray(state[name])) state = { ...state, [name]: state[name].map(fn) };
+    }
+    applied.push(m.description);
+  }
+  state = { ...state, schemaVersion: SCHEMA_VERSION };
+  const errors = validateState(state);
+  return { state: errors.length ? null : state, from, applied, errors: capped(errors) };
+}
+
+function capped(errors) {
+  if (errors.length <= MAX_REPORTED) return errors;
+  return [...errors.slice(0, MAX_REPORTED), `…and ${errors.length - MAX_REPORTED} more problems.`];
+}
@@ -0,0 +1,64 @@
+import { SCHEMA_VERSION, migrateEntity, migrateState } from './schema';
+
+test('brings an unversioned state up to the current schema', () => {
+  const { state, from, applied, errors } = migrateState({
+    polishes: [{ id: 'p1', name: 'Ruby', tags: 'red, fall' }],
+    manis: [{ id: 'm1', polishes: ['p1'] }],
+    settings: {},
+  });
+  expect(errors).toEqual([]);
+  expect(from).toBe(1);
+  expect(applied).toHaveLength(7);
+  expect(state.schemaVersion).toBe(SCHEMA_VERSION);
+  expect(state.polishes[0].tags).toEqual(['red', 'fall']);
+  expect(state.manis[0]).toMatchObject({ tools: [], layers: [], tags: [] });
+  expect(state.tombstones).toEqual({ polishes: {}, tools: {}, manis: {}, smartCollections: {}, plans: {} });
+  expect(state.smartCollections).toEqual([]);
+  expect(state.plans).toEqual([]);
+});
+
+test('rejects data it cannot use with a readable report', () => {
+  expect(migrateState([1, 2]).errors[0]).toMatch(/expected a JSON object/);
+  expect(migrateState({ foo: 1 }).errors[0]).toMatch(/no polishes, tools, manicures or settings/);
+  expect(migrateState({ schemaVersion: SCHEMA_VERSION + 1, polishes: [] }).errors[0]).toMatch(/newer NailVault/);
+  const { state, errors } = migrateState({ polishes: [{ id: 'a', brand: 'OPI', name: 'Red' }, { id: 'a' }, { name: 'x' }] });
+  expect(state).toBeNull();
+  expect(errors).toEqual(['polishes #2 repeats the id "a".', 'polishes #3 (x) has no id.']);
+});
+
+test('migrates synced entities and leaves ones from newer apps alone', () => {
+  expect(migrateEntity('manis', { id: 'm1', schemaVersion: 1 })).toMatchObject({ id: 'm1', polishes: [], layers: [] });
+  expect(migrateEntity('polishes', { id: 'p1', schemaVersion: SCHEMA_VERSION + 1 })).toBeNull();
+});
+
+test('gives walls ids from their old names so placed bottles stay put', () => {
+  const { state } = migrateState({
+    schemaVersion: 2,
+    polishes: [{ id: 'p1', wall: 'Vanity', shelf: 1, position: 1 }],
+    settings: { wallCount: 3, wallNames: ['Vanity', ' ', 'Desk'], shelvesPerWall: 4 },
+  });
+  expect(state.settings.walls.map((w) => [w.id, w.label])).toEqual([['Vanity', 'Vanity'], ['B', 'B'], ['Desk', 'Desk']]);
+  expect(state.polishes[0].wall).toBe('Vanity');
+});
+
+test('gives every wall its own copy of the old global shelf grid', () => {
+  const { state } = migrateState({ schemaVersion: 3, settings: { walls: [{ id: 'A', label: 'A' }], shelvesPerWall: 2, slotsPerShelf: 5 } });
+  expect(state.settings).toEqual({ walls: [{ id: 'A', label: 'A', shelves: [{ slots: 5 }, { slots: 5 }] }] });
+});
+
+test('turns free-text manicure steps into typed layers', () => {
+  const mani = migrateEntity('manis', { id: 'm1', schemaVersion: 5, polishes: [], steps: [{ step: 'Dehydrator' }, { step: 'Rubber base' }, { step: '2 coats of Big Apple Red' }, { step: 'Glossy top coat' }, { step: 'LED cure 60s' }] });
+  expect(mani.steps).toBeUndefined();
+  expect(mani.layers.map((l) => [l.kind, l.coats])).toEqual([['prep', null], ['base', null], ['color', 2], ['top', null], ['cure', null]]);
+  expect(mani.layers[2]).toMatchObject({ id: 'l3', note: '2 coats of Big Apple Red', polishId: null, toolId: null });
+});
+
+test('turns typed wear days into applied and removal events', () => {
+  const mani = migrateEntity('manis', { id: 'm1', schemaVersion: 6, date: '2025-02-14', wearDays: 5, layers: [] });
+  expect(mani.wearDays).toBeUndefined();
+  expect(mani.events).toEqual([
+    { id: 'e1', type: 'applied', at: Date.UTC(2025, 1, 14, 12) },
+    { id: 'e2', type: 'removed', at: Date.UTC(2025, 1, 19, 12) },
+  ]);
+  expect(migrateEntity('manis', { id: 'm2', schemaVersion: 6, date: '2025-02-14', wearDays: 0 }).events).toHaveLength(1);
+});
@@ -0,0 +1,184 @@
+// src/storage.js
+// Storage adapters. Each one keeps records (plain objects with an `id`) in named
+// collections behind the same calls:
+//   load(collection)           -> Promise of the records in it
+//   get(collection, id)        -> Promise of one record, or null
+//   save(collection, records)  -> Promise; each record replaces the one with its id
+//   delete(collection, ids)    -> Promise
+//   subscribe(collection, fn)  -> unsubscribe; fn(records) runs once with the current
+//                                 records and again after every change
+// The Firestore adapter lives in ./firebase.js.
+
+// Copies like a JSON round-trip would, except Blobs are kept as they are
+function clone(v) {
+  if (Array.isArray(v)) return v.map((x) => (x === undefined ? null : clone(x)));
+  if (v && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) if (x !== undefined) out[k] = clone(x);
+    return out;
+  }
+  return v;
+}
+
+function createListeners(list) {
+  const byCollection = new Map();
+  return {
+    add(collection, fn) {
+      const set = byCollection.get(collection) || new Set();
+      byCollection.set(collection, set);
+      const entry = { fn, active: true };
+      set.add(entry);
+      Promise.resolve(list(collection)).then((records) => entry.active && fn(records));
+      return () => {
+        entry.active = false;
+        set.delete(entry);
+      };
+    },
+    async emit(collection) {
+      const set = byCollection.get(collection);
+      if (!set?.size) return;
+      const records = await list(collection);
+      set.forEach((entry) => entry.active && entry.fn(records));
+    },
+    collections() {
+      return [...byCollection.keys()];
+    },
+  };
+}
+
+/* ---------- In-memory (tests) ---------- */
+export function createMemoryAdapter(seed = {}) {
+  const data = new Map(Object.entries(seed).map(([c, records]) => [c, new Map(records.map((r) => [r.id, clone(r)]))]));
+  const list = (c) => [...(data.get(c)?.values() || [])].map(clone);
+  const listeners = createListeners(list);
+  return {
+    async load(collection) {
+      return list(collection);
+    },
+    async get(collection, id) {
+      return clone(data.get(collection)?.get(id)) ?? null;
+    },
+    async save(collection, records) {
+      const map = data.get(collection) || new Map();
+      records.forEach((r) => map.set(r.id, clone(r)));
+      data.set(collection, map);
+      await listeners.emit(collection);
+    },
+    async delete(collection, ids) {
+      ids.forEach((id) => data.get(collection)?.delete(id));
+      await listeners.emit(collection);
+    },
+    subscribe(collection, fn) {
+      return listeners.add(collection, fn);
+    },
+  };
+}
+
+/* ---------- localStorage ---------- */
+// One key per record: "<collection>_<id>". The app state lives in collection "nailvault"
+// under id "state_v1", i.e. the original nailvault_state_v1 key.
+export function createLocalStorageAdapter({ storage = window.localStorage } = {}) {
+  const prefix = (c) => `${c}_`;
+  const list = (c) => {
+    const out = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (!key?.startsWith(prefix(c))) continue;
+      try {
+        const value = JSON.parse(storage.getItem(key));
+        // other values can share the prefix (e.g. plain strings); only objects are records
+        if (value && typeof value === "object" && !Array.isArray(value)) out.push({ ...value, id: key.slice(prefix(c).length) });
+      } catch (e) {
+        // not JSON: not a record
+      }
+    }
+    return out;
+  };
+  const listeners = createListeners(list);
+  if (typeof window !== "undefined") {
+    // changes made in other tabs
+    window.addEventListener("storage", (e) => {
+      listeners.collections().filter((c) => e.key == null || e.key.startsWith(prefix(c))).forEach((c) => listeners.emit(c));
+    });
+  }
+  return {
+    async load(collection) {
+      return list(collection);
+    },
+    async get(collection, id) {
+      try {
+        const value = JSON.parse(storage.getItem(`${prefix(collection)}${id}`));
+        return value && typeof value === "object" && !Array.isArray(value) ? { ...value, id } : null;
+      } catch (e) {
+        return null;
+      }
+    },
+    async save(collection, records) {
+      records.forEach((r) => storage.setItem(`${prefix(collection)}${r.id}`, JSON.stringify(r)));
+      await listeners.emit(collection);
+    },
+    async delete(collection, ids) {
+      ids.forEach((id) => storage.removeItem(`${prefix(collection)}${id}`));
+      await listeners.emit(collection);
+    },
+    subscribe(collection, fn) {
+      return listeners.add(collection, fn);
+    },
+  };
+}
+
+/* ---------- IndexedDB ---------- */
+// A single object store keyed by [collection, id]. Values go through structured clone,
+// so records may hold Blobs.
+export function createIndexedDBAdapter({ dbName = "nailvault", indexedDB = window.indexedDB } = {}) {
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore("records", { keyPath: ["collection", "id"] });
+          store.createIndex("collection", "collection");
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  };
+  const run = async (mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("records", mode);
+      const req = fn(tx.objectStore("records"));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+  const list = async (c) => ((await run("readonly", (store) => store.index("collection").getAll(c))) || []).map((r) => r.value);
+  const listeners = createListeners(list);
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(`${dbName}-records`) : null;
+  if (channel) channel.onmessage = (e) => listeners.emit(e.data);
+  const changed = async (c) => {
+    channel?.postMessage(c);
+    await listeners.emit(c);
+  };
+  return {
+    load: list,
+    async get(collection, id) {
+      return (await run("readonly", (store) => store.get([collection, id])))?.value ?? null;
+    },
+    async save(collection, records) {
+      await run("readwrite", (store) => records.forEach((r) => store.put({ collection, id: r.id, value: r })));
+      await changed(collection);
+    },
+    async delete(collection, ids) {
+      await run("readwrite", (store) => ids.forEach((id) => store.delete([collection, id])));
+      await changed(collection);
+    },
+    subscribe(collection, fn) {
+      return listeners.add(collection, fn);
+    },
+  };
+}
@@ -0,0 +1,22 @@
+import { createLocalStorageAdapter, createMemoryAdapter } from './storage';
+
+test('memory adapter upserts, deletes and notifies subscribers', async () => {
+  const store = createMemoryAdapter({ polishes: [{ id: 'a', name: 'Ruby' }] });
+  const seen = [];
+  const unsubscribe = store.subscribe('polishes', (records) => seen.push(records.map((r) => r.id)));
+  await store.save('polishes', [{ id: 'b', name: 'Onyx' }, { id: 'a', name: 'Ruby Red' }]);
+  await store.delete('polishes', ['b']);
+  unsubscribe();
+  await store.save('polishes', [{ id: 'c' }]);
+  expect(await store.load('polishes')).toEqual([{ id: 'a', name: 'Ruby Red' }, { id: 'c' }]);
+  expect(seen).toEqual([['a'], ['a', 'b'], ['a']]);
+});
+
+test('localStorage adapter reads the original nailvault_state_v1 key', async () => {
+  localStorage.setItem('nailvault_state_v1', JSON.stringify({ polishes: [{ id: 'p1' }] }));
+  localStorage.setItem('nailvault_device_id', 'not-json');
+  const store = createLocalStorageAdapter();
+  expect(await store.load('nailvault')).toEqual([{ id: 'state_v1', polishes: [{ id: 'p1' }] }]);
+  await store.delete('nailvault', ['state_v1']);
+  expect(localStorage.getItem('nailvault_state_v1')).toBeNull();
+});
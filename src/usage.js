@@ -0,0 +1,63 @@
+// src/usage.js
+// How each polish has been worn, worked out from the manicures that link it: listed in
+// `mani.polishes` or picked in a layer, including the per-nail designs.
+import { DAY_MS, wearSummary } from "./wear";
+
+export const SEASONS = ["spring", "summer", "autumn", "winter"];
+const SEASON_ALIASES = { fall: "autumn" };
+
+// "Fall" and "autumn" tags are the same season
+export const seasonOfTag = (tag) => {
+  const t = String(tag || "").trim().toLowerCase();
+  const season = SEASON_ALIASES[t] || t;
+  return SEASONS.includes(season) ? season : null;
+};
+
+export function maniPolishIds(mani) {
+  const layers = [...(mani.layers || []), ...Object.values(mani.nails || {}).flatMap((n) => n.layers || [])];
+  return [...new Set([...(mani.polishes || []), ...layers.map((l) => l.polishId)].filter(Boolean))];
+}
+
+// When a manicure was worn: its applied event, else noon on its date
+const wornAt = (mani) => wearSummary(mani).applied?.at ?? (mani.date ? new Date(`${mani.date}T12:00`).getTime() : NaN);
+
+// -> Map polishId -> { count, lastUsed, avgRating, avgWear, manis }. Polishes never used
+// aren't in the map. avgWear only counts manicures that have been removed.
+export function polishUsage(manis) {
+  const groups = new Map();
+  for (const m of manis) {
+    const at = wornAt(m);
+    const s = wearSummary(m);
+    for (const id of maniPolishIds(m)) {
+      const g = groups.get(id) || { count: 0, lastUsed: null, ratings: [], wears: [], manis: [] };
+      g.count++;
+      g.manis.push(m.id);
+      if (Number.isFinite(at) && (g.lastUsed == null || at > g.lastUsed)) g.lastUsed = at;
+      if (Number.isFinite(Number(m.rating))) g.ratings.push(Number(m.rating));
+      if (s.removed && s.wearDays != null) g.wears.push(s.wearDays);
+      groups.set(id, g);
+    }
+  }
+  const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+  return new Map(
+    [...groups].map(([id, { count, lastUsed, ratings, wears, manis: ids }]) => [id, { count, lastUsed, avgRating: mean(ratings), avgWear: mean(wears), manis: ids }])
+  );
+}
+
+// Bottles that haven't been worn for `idleDays` (or ever), leaving out empty ones and
+// optionally narrowed to a finish or season tag -> [{ polish, usage, idleDays }]. Never-worn
+// bottles come first, then the longest idle; idleDays counts from the last wear, or from
+// when an untried bottle was added.
+export function neglectedPolishes(polishes, usage, { finish = null, season = null, idleDays = 60, now = Date.now() } = {}) {
+  const daysSince = (ms) => (Number.isFinite(ms) ? Math.max(0, (now - ms) / DAY_MS) : null);
+  return polishes
+    .filter((p) => !p.empty)
+    .filter((p) => !finish || p.finish === finish)
+    .filter((p) => !season || (p.tags || []).some((t) => seasonOfTag(t) === season))
+    .map((p) => {
+      const u = usage.get(p.id) || null;
+      return { polish: p, usage: u, idleDays: daysSince(u ? u.lastUsed : p.addedAt) };
+    })
+    .filter((n) => !n.usage || n.idleDays == null || n.idleDays >= idleDays)
+    .sort((a, b) => !!a.usage - !!b.usage || (b.idleDays ?? Infinity) - (a.idleDays ?? Infinity) || a.polish.name.localeCompare(b.polish.name));
+}
@@ -0,0 +1,42 @@
+import { DAY_MS } from './wear';
+import { neglectedPolishes, polishUsage, seasonOfTag } from './usage';
+
+const T0 = Date.UTC(2025, 0, 1, 12);
+const applied = (days) => [{ id: 'e1', type: 'applied', at: T0 + days * DAY_MS }];
+const removed = (from, to) => [...applied(from), { id: 'e2', type: 'removed', at: T0 + to * DAY_MS }];
+
+test('counts uses, last use, rating and wear per polish, including layers and nail designs', () => {
+  const manis = [
+    { id: 'm1', polishes: ['a'], layers: [{ kind: 'color', polishId: 'b' }], rating: 4, events: removed(0, 6) },
+    { id: 'm2', polishes: ['a'], nails: { R4: { layers: [{ kind: 'art', polishId: 'c' }] } }, rating: 2, events: applied(10) },
+    { id: 'm3', date: '2025-01-05', polishes: ['a', 'a'], rating: 3 },
+  ];
+  const usage = polishUsage(manis);
+  expect(usage.get('a')).toEqual({ count: 3, lastUsed: T0 + 10 * DAY_MS, avgRating: 3, avgWear: 6, manis: ['m1', 'm2', 'm3'] });
+  expect(usage.get('b')).toMatchObject({ count: 1, avgWear: 6 });
+  expect(usage.get('c')).toMatchObject({ count: 1, avgRating: 2, avgWear: null });
+  expect(usage.has('d')).toBe(false);
+});
+
+test('lists untried bottles first, then the longest idle, filtered by finish and season', () => {
+  const polishes = [
+    { id: 'a', name: 'Recent', finish: 'cream', tags: ['Fall'] },
+    { id: 'b', name: 'Idle', finish: 'cream', tags: ['summer'] },
+    { id: 'c', name: 'Older idle', finish: 'jelly', tags: ['autumn'] },
+    { id: 'd', name: 'New bottle', finish: 'cream', tags: [], addedAt: T0 + 90 * DAY_MS },
+    { id: 'e', name: 'Used up', finish: 'cream', tags: [], empty: true },
+  ];
+  const usage = new Map([
+    ['a', { count: 1, lastUsed: T0 + 90 * DAY_MS }],
+    ['b', { count: 2, lastUsed: T0 + 20 * DAY_MS }],
+    ['c', { count: 1, lastUsed: T0 }],
+  ]);
+  const now = T0 + 100 * DAY_MS;
+  const ids = (opts) => neglectedPolishes(polishes, usage, { now, ...opts }).map((n) => n.polish.id);
+  expect(ids()).toEqual(['d', 'c', 'b']);
+  expect(neglectedPolishes(polishes, usage, { now })[0].idleDays).toBe(10);
+  expect(ids({ finish: 'cream' })).toEqual(['d', 'b']);
+  expect(ids({ season: 'autumn', idleDays: 0 })).toEqual(['c', 'a']);
+  expect(seasonOfTag(' FALL ')).toBe('autumn');
+  expect(seasonOfTag('holiday')).toBeNull();
+});
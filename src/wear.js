@@ -0,0 +1,72 @@
+// src/wear.js
+// Manicure lifecycle. `mani.events` lists { id, type, at, nail? }: type "applied", "chip"
+// (nail: which one, when known) or "removed", `at` a timestamp in ms. Wear figures are
+// worked out from the events rather than typed in before the manicure has been worn.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WEAR_EVENTS = { applied: "Applied", chip: "Chipped", removed: "Removed" };
+
+const firstOf = (events, type) => events.filter((e) => e.type === type && Number.isFinite(e.at)).sort((a, b) => a.at - b.at)[0] || null;
+
+// -> { applied, firstChip, removed, ongoing, wearDays, chipDays }. While a manicure is still
+// on, wearDays counts up to `now`; chipDays is null until something chips.
+export function wearSummary(mani, now = Date.now()) {
+  const events = Array.isArray(mani?.events) ? mani.events : [];
+  const applied = firstOf(events, "applied");
+  const firstChip = firstOf(events, "chip");
+  const removed = firstOf(events, "removed");
+  const days = (to) => (applied && to != null ? Math.max(0, (to - applied.at) / DAY_MS) : null);
+  return {
+    applied,
+    firstChip,
+    removed,
+    ongoing: !!applied && !removed,
+    wearDays: days(removed ? removed.at : now),
+    chipDays: firstChip ? days(firstChip.at) : null,
+  };
+}
+
+// Longevity of base/top coat pairs and of colour brands, from manicures that have been
+// removed -> { combos, brands }, each [{ key, label, count, avgWear, avgChip, chipped }].
+// A manicure that never chipped counts its whole wear as its time to first chip.
+export function longevityStats(manis, polishes, { sort = "wear" } = {}) {
+  const byId = new Map(polishes.map((p) => [p.id, p]));
+  const title = (id) => {
+    const p = byId.get(id);
+    return p && `${p.brand || "—"} · ${p.name}`;
+  };
+  const combos = new Map();
+  const brands = new Map();
+  const add = (groups, key, label, s) => {
+    const g = groups.get(key) || { key, label, count: 0, wear: 0, chip: 0, chipped: 0 };
+    g.count++;
+    g.wear += s.wearDays;
+    g.chip += s.chipDays ?? s.wearDays;
+    if (s.chipDays != null) g.chipped++;
+    groups.set(key, g);
+  };
+  for (const m of manis) {
+    const s = wearSummary(m);
+    if (!s.applied || !s.removed) continue;
+    const layers = Array.isArray(m.layers) ? m.layers : [];
+    const coat = (kind) => layers.find((l) => l.kind === kind && byId.has(l.polishId))?.polishId || null;
+    const [base, top] = [coat("base"), coat("top")];
+    if (base || top) add(combos, `${base}|${top}`, `${title(base) || "no base"} + ${title(top) || "no top"}`, s);
+    // colour layers say which bottles were the colour; older manicures only list polishes
+    const colors = layers.filter((l) => l.kind === "color" && l.polishId).map((l) => l.polishId);
+    const ids = colors.length ? colors : (m.polishes || []).filter((id) => id !== base && id !== top);
+    const seen = new Set();
+    for (const brand of ids.map((id) => byId.get(id)?.brand?.trim()).filter(Boolean)) {
+      if (seen.has(brand.toLowerCase())) continue;
+      seen.add(brand.toLowerCase());
+      add(brands, brand.toLowerCase(), brand, s);
+    }
+  }
+  const metric = sort === "chip" ? "avgChip" : "avgWear";
+  const ranked = (groups) =>
+    [...groups.values()]
+      .map(({ key, label, count, wear, chip, chipped }) => ({ key, label, count, avgWear: wear / count, avgChip: chip / count, chipped }))
+      .sort((a, b) => b[metric] - a[metric] || b.count - a.count || a.label.localeCompare(b.label));
+  return { combos: ranked(combos), brands: ranked(brands) };
+}
@@ -0,0 +1,41 @@
+import { DAY_MS, longevityStats, wearSummary } from './wear';
+
+const T0 = Date.UTC(2025, 0, 1, 12);
+const event = (type, days, nail) => ({ id: `${type}${days}`, type, at: T0 + days * DAY_MS, nail });
+
+test('works out wear and time to first chip from the events', () => {
+  const done = wearSummary({ events: [event('removed', 9), event('chip', 4, 'R2'), event('applied', 0), event('chip', 6)] });
+  expect(done).toMatchObject({ ongoing: false, wearDays: 9, chipDays: 4 });
+  expect(done.firstChip.nail).toBe('R2');
+  expect(wearSummary({ events: [event('applied', 0)] }, T0 + 2.5 * DAY_MS)).toMatchObject({ ongoing: true, wearDays: 2.5, chipDays: null });
+  expect(wearSummary({}).wearDays).toBeNull();
+});
+
+test('ranks base/top pairs and brands by average wear or time to first chip', () => {
+  const polishes = [
+    { id: 'b1', brand: 'Orly', name: 'Bonder' },
+    { id: 't1', brand: 'Seche', name: 'Vite' },
+    { id: 't2', brand: 'Essie', name: 'Gel Setter' },
+    { id: 'c1', brand: 'OPI', name: 'Big Apple Red' },
+    { id: 'c2', brand: 'Zoya', name: 'Purity' },
+  ];
+  const mani = (id, top, color, events) => ({
+    id,
+    polishes: ['b1', top, color],
+    layers: [{ kind: 'base', polishId: 'b1' }, { kind: 'color', polishId: color }, { kind: 'top', polishId: top }],
+    events,
+  });
+  const manis = [
+    mani('m1', 't1', 'c1', [event('applied', 0), event('chip', 2), event('removed', 5)]),
+    mani('m2', 't1', 'c2', [event('applied', 10), event('removed', 17)]),
+    mani('m3', 't2', 'c1', [event('applied', 20), event('chip', 25), event('removed', 26)]),
+    mani('m4', 't2', 'c2', [event('applied', 30)]),
+  ];
+  const { combos, brands } = longevityStats(manis, polishes);
+  expect(combos.map((c) => [c.label, c.count, c.avgWear, c.avgChip])).toEqual([
+    ['Orly · Bonder + Seche · Vite', 2, 6, 4.5],
+    ['Orly · Bonder + Essie · Gel Setter', 1, 6, 5],
+  ]);
+  expect(brands.map((b) => [b.label, b.avgWear])).toEqual([['Zoya', 7], ['OPI', 5.5]]);
+  expect(longevityStats(manis, polishes, { sort: 'chip' }).combos[0].label).toBe('Orly · Bonder + Essie · Gel Setter');
+});